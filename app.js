@@ -1,180 +1,404 @@
+import {
+    subtractFractions,
+    multiplyFractions,
+    compareFractions,
+    formatFraction,
+    fractionToNumber,
+    normalizeGradingScheme,
+    serializeGradingScheme,
+    BUILT_IN_SCHEMES,
+    getMaxGradePoint,
+    mapLetterToGradePoint,
+    COURSE_STATUSES,
+    getCourseStatus,
+    getStatusEffect,
+    computeTermGPA,
+    computeNewCGPA,
+    computeTranscript,
+    getGPAHistory,
+    computeGradeDistribution,
+    solveTargetGPA,
+    SCENARIOS,
+    hasScenarioGrades,
+    computeScenarios,
+    computeCourseImpact,
+    evaluateStanding,
+    CATALOG_CATEGORIES,
+    normalizeCatalog,
+    serializeCatalog,
+    BUNDLED_CATALOG,
+    findCatalogCourse,
+    findDuplicateCourses,
+    computeDegreeAudit,
+    createCourseData,
+    validateCourseFields,
+    validateCourses,
+    validatePreviousFields,
+    validatePreviousRecord,
+    NO_INCLUDED_COURSES_ERROR,
+    validateReplacedAttempts,
+    createTermCSV,
+    createTranscriptCSV,
+    parseCourseCSV,
+    STATE_FILE_VERSION,
+    migrateStateFile,
+    parseCoursePaste,
+    encodeShareLink,
+    decodeShareLink
+} from './gpa-engine.js';
+
+// ============================================
+// APPLICATION STATE
+// ============================================
+
+const state = {
+    mode: 'term',       // 'term', 'cgpa' or 'transcript'
+    schemeId: BUILT_IN_SCHEMES[0].id,  // Selected grading scheme
+    courses: [],        // Array of course input objects, in display order
+    courseCounter: 0,   // For unique IDs (shared by current term and transcript courses)
+    previous: {         // Previous academic record (CGPA mode)
+        cgpa: null,
+        credits: null
+    },
+    semesters: [],      // Transcript mode: array of { id, name, courses }, oldest first
+    semesterCounter: 0  // For unique semester IDs
+};
+
+/**
+ * Custom schemes imported by the user (normalized), loaded from storage on startup.
+ */
+let customSchemes = [];
+
+/**
+ * Returns every available grading scheme, built-in ones first.
+ * @returns {Array} Normalized grading schemes
+ */
+function getGradingSchemes() {
+    return [...BUILT_IN_SCHEMES, ...customSchemes];
+}
+
+/**
+ * Finds a grading scheme by ID, falling back to the default scheme.
+ * @param {string} id - Scheme ID (defaults to the selected scheme)
+ * @returns {Object} Normalized grading scheme
+ */
+function getGradingScheme(id = state.schemeId) {
+    return getGradingSchemes().find(s => s.id === id) ?? BUILT_IN_SCHEMES[0];
+}
+
+/**
+ * The course catalog in use: the bundled one, or an edited copy loaded from storage on startup.
+ */
+let courseCatalog = BUNDLED_CATALOG;
+
+/**
+ * Whether results recompute as the form changes (live results), loaded from storage on startup.
+ */
+let liveResults = false;
+
 /**
- * Maps a numeric score (0-100) to a grade point using the PDF's exact thresholds.
- * @param {number} score - Numeric score between 0 and 100
- * @returns {{ letter: string, point: number }} Grade letter and point value
- */
-function mapNumericToGradePoint(score) {
-    // Validate input
-    if (typeof score !== 'number' || isNaN(score)) {
-        return { letter: 'Invalid', point: 0 };
-    }
-    
-    // Clamp score to valid range
-    score = Math.max(0, Math.min(100, score));
-    
-    // PDF Grade Mapping (Orientation Session Fall 24):
-    // Using exact fractions: 1/3 ≈ 0.333..., 2/3 ≈ 0.666...
-    // A- = 3 + 2/3 = 11/3, B+ = 3 + 1/3 = 10/3, B- = 2 + 2/3 = 8/3, etc.
-    if (score >= 95) return { letter: 'A',  point: 4 };           // 4
-    if (score >= 90) return { letter: 'A-', point: 11/3 };        // 3 + 2/3
-    if (score >= 85) return { letter: 'B+', point: 10/3 };        // 3 + 1/3
-    if (score >= 80) return { letter: 'B',  point: 3 };           // 3
-    if (score >= 75) return { letter: 'B-', point: 8/3 };         // 2 + 2/3
-    if (score >= 70) return { letter: 'C+', point: 7/3 };         // 2 + 1/3
-    if (score >= 65) return { letter: 'C',  point: 2 };           // 2
-    if (score >= 60) return { letter: 'C-', point: 5/3 };         // 1 + 2/3
-    return { letter: 'F', point: 0 };  // 0-59
-}
-
-/**
- * Maps a letter grade to its grade point value.
- * @param {string} letter - Letter grade (A, A-, B+, B, B-, C+, C, C-, F)
- * @returns {number} Grade point value
- */
-function mapLetterToGradePoint(letter) {
-    // PDF Grade Points - Using exact fractions (1/3 and 2/3)
-    // Example: 3 credits × B+ (10/3) = 10 QP exactly, not 9.99
-    const gradePoints = {
-        'A':  4,        // 4
-        'A-': 11/3,     // 3 + 2/3 = 3.666...
-        'B+': 10/3,     // 3 + 1/3 = 3.333...
-        'B':  3,        // 3
-        'B-': 8/3,      // 2 + 2/3 = 2.666...
-        'C+': 7/3,      // 2 + 1/3 = 2.333...
-        'C':  2,        // 2
-        'C-': 5/3,      // 1 + 2/3 = 1.666...
-        'F':  0         // 0
+ * Creates an empty course input object.
+ * @param {number} id - Unique course ID
+ * @returns {Object} Course input object
+ */
+function createCourse(id) {
+    return {
+        id,
+        name: '',
+        credits: null,
+        gradeType: 'letter',
+        score: null,
+        letter: '',
+        status: 'graded',       // See COURSE_STATUSES
+        repeated: false,
+        previousLetter: '',     // Repeated course: grade of the earlier attempt
+        previousCredits: null,  // Repeated course: credits of the earlier attempt (defaults to credits)
+        scenarioLetters: { best: '', expected: '', worst: '' }  // What-if candidate grades
     };
-    
-    return gradePoints[letter] ?? 0;
 }
 
 /**
- * Gets the letter grade from a grade point value.
- * @param {number} point - Grade point value
- * @returns {string} Letter grade
+ * Copies a course input object, including its nested candidate grades.
+ * @param {Object} course - Course input object
+ * @returns {Object} Independent copy
+ */
+function copyCourse(course) {
+    return { ...course, scenarioLetters: { ...course.scenarioLetters } };
+}
+
+/**
+ * Finds a semester by its ID.
+ * @param {number|string} id - Semester ID
+ * @returns {Object|undefined} Semester object
+ */
+function findSemester(id) {
+    return state.semesters.find(s => s.id === Number(id));
+}
+
+/**
+ * Returns the course array holding a course: the current term list or a semester's list.
+ * @param {number|string} id - Course ID
+ * @returns {Array|undefined} Course input array
+ */
+function findCourseCollection(id) {
+    const collections = [state.courses, ...state.semesters.map(s => s.courses)];
+    return collections.find(courses => courses.some(c => c.id === Number(id)));
+}
+
+/**
+ * Finds a course input object by its ID.
+ * @param {number|string} id - Course ID
+ * @returns {Object|undefined} Course input object
  */
-function getLetterFromPoint(point) {
-    if (point >= 4.00) return 'A';
-    if (point >= 3.66) return 'A-';
-    if (point >= 3.33) return 'B+';
-    if (point >= 3.00) return 'B';
-    if (point >= 2.66) return 'B-';
-    if (point >= 2.33) return 'C+';
-    if (point >= 2.00) return 'C';
-    if (point >= 1.67) return 'C-';
-    return 'F';
+function findCourse(id) {
+    return findCourseCollection(id)?.find(c => c.id === Number(id));
 }
 
 // ============================================
-// GPA CALCULATION FUNCTIONS
+// PERSISTENCE (localStorage)
 // ============================================
 
+const STORAGE_KEYS = {
+    autosave: 'zcGpaCalc.autosave',
+    sessions: 'zcGpaCalc.sessions',
+    schemes: 'zcGpaCalc.schemes',
+    catalog: 'zcGpaCalc.catalog',
+    liveResults: 'zcGpaCalc.liveResults',
+    student: 'zcGpaCalc.student'
+};
+
 /**
- * Computes the Term GPA from an array of course data.
- * Formula: Term GPA = Σ(Quality Points) / Σ(Credit Hours)
- * 
- * @param {Array} courseRows - Array of course objects
- * @returns {{ gpa: number, totalCredits: number, totalQualityPoints: number, courses: Array }}
+ * Returns a plain snapshot of the calculator state.
+ * @returns {Object} Serializable state snapshot
  */
-function computeTermGPA(courseRows) {
-    let totalCredits = 0;
-    let totalQualityPoints = 0;
-    const processedCourses = [];
-    
-    for (const course of courseRows) {
-        // Skip excluded courses (Withdraw/Drop/W)
-        if (course.excluded) {
-            processedCourses.push({
-                ...course,
-                qualityPoints: 0,
-                status: 'excluded'
-            });
-            continue;
-        }
-        
-        // Get grade point
-        let gradePoint = course.gradePoint;
-        let letter = course.letter;
-        let wasCapped = false;
-        
-        // Apply repeated course cap (PDF Rule: max B+ for repeated courses)
-        if (course.repeated && gradePoint > 3.33) {
-            gradePoint = 3.33;  // Cap at B+
-            letter = 'B+';
-            wasCapped = true;
-        }
-        
-        // Calculate quality points: Credit Hours × Grade Point
-        const qualityPoints = course.credits * gradePoint;
-        
-        // Accumulate totals
-        totalCredits += course.credits;
-        totalQualityPoints += qualityPoints;
-        
-        processedCourses.push({
-            ...course,
-            gradePoint,
-            letter,
-            qualityPoints,
-            wasCapped,
-            status: wasCapped ? 'capped' : 'included'
-        });
+function serializeState() {
+    return {
+        mode: state.mode,
+        schemeId: state.schemeId,
+        previous: { ...state.previous },
+        courses: state.courses.map(copyCourse),
+        courseCounter: state.courseCounter,
+        semesters: state.semesters.map(s => ({
+            ...s,
+            courses: s.courses.map(copyCourse)
+        })),
+        semesterCounter: state.semesterCounter
+    };
+}
+
+/**
+ * Normalizes a stored snapshot so missing or malformed fields fall back to defaults.
+ * @param {Object} data - Snapshot read from storage
+ * @returns {Object|null} Normalized snapshot, or null if unusable
+ */
+function normalizeSnapshot(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.courses)) {
+        return null;
     }
     
-    // Calculate GPA (avoid division by zero)
-    const gpa = totalCredits > 0 ? totalQualityPoints / totalCredits : 0;
+    const toNumberOrNull = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+    const toCounter = value => (Number.isInteger(value) ? value : 0);
+    
+    const normalizeCourses = list => (Array.isArray(list) ? list : [])
+        .filter(c => c && Number.isInteger(c.id) && c.id > 0)
+        .map(c => ({
+            ...createCourse(c.id),
+            name: typeof c.name === 'string' ? c.name : '',
+            credits: toNumberOrNull(c.credits),
+            gradeType: c.gradeType === 'numeric' ? 'numeric' : 'letter',
+            score: toNumberOrNull(c.score),
+            letter: typeof c.letter === 'string' ? c.letter : '',
+            // Before course statuses, courses left out of the GPA were flagged `excluded`
+            status: COURSE_STATUSES.some(s => s.code === c.status) ? c.status : (c.excluded ? 'W' : 'graded'),
+            repeated: Boolean(c.repeated),
+            previousLetter: typeof c.previousLetter === 'string' ? c.previousLetter : '',
+            previousCredits: toNumberOrNull(c.previousCredits),
+            scenarioLetters: Object.fromEntries(SCENARIOS.map(s => [
+                s.key,
+                typeof c.scenarioLetters?.[s.key] === 'string' ? c.scenarioLetters[s.key] : ''
+            ]))
+        }));
+    
+    const courses = normalizeCourses(data.courses);
+    const semesters = (Array.isArray(data.semesters) ? data.semesters : [])
+        .filter(s => s && Number.isInteger(s.id) && s.id > 0)
+        .map(s => ({
+            id: s.id,
+            name: typeof s.name === 'string' ? s.name : '',
+            courses: normalizeCourses(s.courses)
+        }));
+    
+    const allCourses = [...courses, ...semesters.flatMap(s => s.courses)];
+    const maxCourseId = allCourses.reduce((max, c) => Math.max(max, c.id), 0);
+    const maxSemesterId = semesters.reduce((max, s) => Math.max(max, s.id), 0);
     
     return {
-        gpa,
-        totalCredits,
-        totalQualityPoints,
-        courses: processedCourses
+        mode: ['cgpa', 'transcript'].includes(data.mode) ? data.mode : 'term',
+        schemeId: typeof data.schemeId === 'string' ? data.schemeId : BUILT_IN_SCHEMES[0].id,
+        previous: {
+            cgpa: toNumberOrNull(data.previous?.cgpa),
+            credits: toNumberOrNull(data.previous?.credits)
+        },
+        courses,
+        courseCounter: Math.max(maxCourseId, toCounter(data.courseCounter)),
+        semesters,
+        semesterCounter: Math.max(maxSemesterId, toCounter(data.semesterCounter))
     };
 }
 
 /**
- * Computes the new Cumulative GPA.
- * Formula: CGPA = (Previous QP + Current QP) / (Previous Credits + Current Credits)
- * 
- * @param {number} prevCGPA - Previous cumulative GPA (0-4)
- * @param {number} prevCredits - Previous total credit hours
- * @param {number} termQualityPoints - Current term quality points
- * @param {number} termCredits - Current term credit hours
- * @param {number|null} prevQualityPoints - Optional: explicit previous quality points
- * @returns {{ cgpa: number, totalCredits: number, totalQualityPoints: number, prevQualityPoints: number }}
+ * Counts the courses in a snapshot, including transcript semesters.
+ * @param {Object} snapshot - Normalized state snapshot
+ * @returns {number} Number of courses
  */
-function computeNewCGPA(prevCGPA, prevCredits, termQualityPoints, termCredits, prevQualityPoints = null) {
-    // Calculate previous quality points
-    // If explicit quality points provided, use those; otherwise calculate from CGPA
-    const calculatedPrevQP = prevQualityPoints !== null 
-        ? prevQualityPoints 
-        : prevCGPA * prevCredits;
-    
-    // Calculate new totals
-    const newTotalQualityPoints = calculatedPrevQP + termQualityPoints;
-    const newTotalCredits = prevCredits + termCredits;
-    
-    // Calculate new CGPA (avoid division by zero)
-    const cgpa = newTotalCredits > 0 ? newTotalQualityPoints / newTotalCredits : 0;
+function countSnapshotCourses(snapshot) {
+    return snapshot.courses.length + snapshot.semesters.reduce((sum, s) => sum + s.courses.length, 0);
+}
+
+/**
+ * Reads and parses a JSON value from localStorage.
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null if missing/unreadable
+ */
+function readStorage(key) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Writes a value to localStorage as JSON.
+ * Storage can be unavailable (private browsing, quota), so failures are ignored.
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        // Autosave is best-effort
+    }
+}
+
+/**
+ * Autosaves the current state and records it as an undo step.
+ * @param {string|null} typingKey - ID of the input being typed in, so a burst of typing is one undo step
+ */
+function saveState(typingKey = null) {
+    writeStorage(STORAGE_KEYS.autosave, serializeState());
+    recordHistory(typingKey);
+}
+
+/**
+ * Loads the autosaved state snapshot.
+ * @returns {Object|null} Normalized snapshot, or null if none
+ */
+function loadSavedState() {
+    return normalizeSnapshot(readStorage(STORAGE_KEYS.autosave));
+}
+
+/**
+ * Returns the list of named saved sessions.
+ * @returns {Array} Array of { id, name, savedAt, data }
+ */
+function getSavedSessions() {
+    const sessions = readStorage(STORAGE_KEYS.sessions);
+    if (!Array.isArray(sessions)) return [];
     
+    return sessions.filter(s => s && typeof s.id === 'string' && typeof s.name === 'string' && normalizeSnapshot(s.data));
+}
+
+/**
+ * Persists the list of named saved sessions.
+ * @param {Array} sessions - Array of { id, name, savedAt, data }
+ */
+function writeSavedSessions(sessions) {
+    writeStorage(STORAGE_KEYS.sessions, sessions);
+}
+
+/**
+ * Builds the versioned JSON export of the full calculator state and its grading scheme.
+ * @returns {Object} Export file contents
+ */
+function createStateFile() {
     return {
-        cgpa,
-        totalCredits: newTotalCredits,
-        totalQualityPoints: newTotalQualityPoints,
-        prevQualityPoints: calculatedPrevQP
+        app: 'zc-gpa-calc',
+        version: STATE_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        scheme: serializeGradingScheme(getGradingScheme()),
+        state: serializeState()
     };
 }
 
-// ============================================
-// APPLICATION STATE
-// ============================================
+/**
+ * Reads a JSON export, migrating older versions to the current one.
+ * @param {*} data - Parsed JSON
+ * @returns {{ snapshot: Object|null, scheme: Object|null, error: string|null }} Normalized snapshot and scheme, or an error
+ */
+function readStateFile(data) {
+    const { state, scheme, error } = migrateStateFile(data);
+    return error ? { snapshot: null, scheme: null, error } : { snapshot: normalizeSnapshot(state), scheme, error: null };
+}
 
-const state = {
-    mode: 'term',       // 'term' or 'cgpa'
-    courses: [],        // Array of course objects
-    courseCounter: 0    // For unique IDs
-};
+/**
+ * Loads the imported grading schemes, skipping any that no longer validate.
+ * @returns {Array} Normalized custom grading schemes
+ */
+function loadCustomSchemes() {
+    const definitions = readStorage(STORAGE_KEYS.schemes);
+    if (!Array.isArray(definitions)) return [];
+    
+    return definitions
+        .map(definition => normalizeGradingScheme(definition).scheme)
+        .filter(scheme => scheme && scheme.id.startsWith('custom-'));
+}
+
+/**
+ * Persists the imported grading schemes.
+ */
+function writeCustomSchemes() {
+    writeStorage(STORAGE_KEYS.schemes, customSchemes.map(serializeGradingScheme));
+}
+
+/**
+ * Loads the edited course catalog, falling back to the bundled one if there is none
+ * or it no longer validates.
+ * @returns {Object} Normalized course catalog
+ */
+function loadCourseCatalog() {
+    const definition = readStorage(STORAGE_KEYS.catalog);
+    return (definition && normalizeCatalog(definition).catalog) || BUNDLED_CATALOG;
+}
+
+/**
+ * Persists the course catalog (null when the bundled catalog is in use).
+ */
+function writeCourseCatalog() {
+    writeStorage(STORAGE_KEYS.catalog, courseCatalog.bundled ? null : serializeCatalog(courseCatalog));
+}
+
+/**
+ * Loads the student name and ID shown on the transcript report.
+ * @returns {{ name: string, id: string }} Student details (empty strings if none)
+ */
+function loadStudentInfo() {
+    const info = readStorage(STORAGE_KEYS.student);
+    return {
+        name: typeof info?.name === 'string' ? info.name : '',
+        id: typeof info?.id === 'string' ? info.id : ''
+    };
+}
+
+/**
+ * Generates a unique session ID.
+ * @returns {string} Session ID
+ */
+function createSessionId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
 
 // ============================================
 // DOM ELEMENTS
@@ -184,29 +408,118 @@ const elements = {
     // Mode selection
     modeRadios: () => document.querySelectorAll('input[name="calcMode"]'),
     
+    // Grading scheme
+    schemeSelect: () => document.getElementById('schemeSelect'),
+    importSchemeBtn: () => document.getElementById('importSchemeBtn'),
+    exportSchemeBtn: () => document.getElementById('exportSchemeBtn'),
+    removeSchemeBtn: () => document.getElementById('removeSchemeBtn'),
+    schemeFileInput: () => document.getElementById('schemeFileInput'),
+    gradeTableBody: () => document.getElementById('gradeTableBody'),
+    
+    // Course catalog
+    catalogSummary: () => document.getElementById('catalogSummary'),
+    importCatalogBtn: () => document.getElementById('importCatalogBtn'),
+    exportCatalogBtn: () => document.getElementById('exportCatalogBtn'),
+    resetCatalogBtn: () => document.getElementById('resetCatalogBtn'),
+    catalogFileInput: () => document.getElementById('catalogFileInput'),
+    catalogOptions: () => document.getElementById('courseCatalogOptions'),
+    
     // Previous section (CGPA)
     previousSection: () => document.getElementById('previousSection'),
     prevCGPA: () => document.getElementById('prevCGPA'),
     prevCredits: () => document.getElementById('prevCredits'),
     
     // Courses
+    coursesSection: () => document.getElementById('coursesSection'),
     courseList: () => document.getElementById('courseList'),
     emptyMessage: () => document.getElementById('emptyMessage'),
     
+    // Transcript
+    transcriptSection: () => document.getElementById('transcriptSection'),
+    addSemesterBtn: () => document.getElementById('addSemesterBtn'),
+    semesterList: () => document.getElementById('semesterList'),
+    semesterEmptyMessage: () => document.getElementById('semesterEmptyMessage'),
+    
     // Buttons
     addCourseBtn: () => document.getElementById('addCourseBtn'),
     calculateBtn: () => document.getElementById('calculateBtn'),
+    calculateHint: () => document.getElementById('calculateHint'),
+    liveResultsToggle: () => document.getElementById('liveResultsToggle'),
+    liveSummary: () => document.getElementById('liveSummary'),
     resetBtn: () => document.getElementById('resetBtn'),
     exportBtn: () => document.getElementById('exportBtn'),
+    importBtn: () => document.getElementById('importBtn'),
+    csvFileInput: () => document.getElementById('csvFileInput'),
+    exportJsonBtn: () => document.getElementById('exportJsonBtn'),
+    importJsonBtn: () => document.getElementById('importJsonBtn'),
+    jsonFileInput: () => document.getElementById('jsonFileInput'),
     referenceToggle: () => document.getElementById('referenceToggle'),
     referenceContent: () => document.getElementById('referenceContent'),
     
+    // Saved sessions
+    sessionName: () => document.getElementById('sessionName'),
+    saveSessionBtn: () => document.getElementById('saveSessionBtn'),
+    sessionList: () => document.getElementById('sessionList'),
+    sessionEmptyMessage: () => document.getElementById('sessionEmptyMessage'),
+    
     // Results
     resultsSection: () => document.getElementById('resultsSection'),
     gpaValue: () => document.getElementById('gpaValue'),
     gpaLabel: () => document.getElementById('gpaLabel'),
     summaryStats: () => document.getElementById('summaryStats'),
+    standingWrapper: () => document.getElementById('standingWrapper'),
+    standingContent: () => document.getElementById('standingContent'),
+    
+    // Target GPA solver
+    targetSection: () => document.getElementById('targetSection'),
+    targetType: () => document.getElementById('targetType'),
+    targetValue: () => document.getElementById('targetValue'),
+    solveTargetBtn: () => document.getElementById('solveTargetBtn'),
+    targetResult: () => document.getElementById('targetResult'),
+    
+    // Graduation progress
+    auditTarget: () => document.getElementById('auditTarget'),
+    auditBtn: () => document.getElementById('auditBtn'),
+    auditResult: () => document.getElementById('auditResult'),
+    
+    // Results details
     breakdownContent: () => document.getElementById('breakdownContent'),
+    scenarioWrapper: () => document.getElementById('scenarioWrapper'),
+    scenarioContent: () => document.getElementById('scenarioContent'),
+    impactWrapper: () => document.getElementById('impactWrapper'),
+    impactContent: () => document.getElementById('impactContent'),
+    chartsWrapper: () => document.getElementById('chartsWrapper'),
+    shareBtn: () => document.getElementById('shareBtn'),
+    undoBtn: () => document.getElementById('undoBtn'),
+    redoBtn: () => document.getElementById('redoBtn'),
+    undoToast: () => document.getElementById('undoToast'),
+    undoToastMessage: () => document.getElementById('undoToastMessage'),
+    undoToastBtn: () => document.getElementById('undoToastBtn'),
+    pasteCoursesBtn: () => document.getElementById('pasteCoursesBtn'),
+    sortCoursesSelect: () => document.getElementById('sortCoursesSelect'),
+    pasteDialog: () => document.getElementById('pasteDialog'),
+    pasteInput: () => document.getElementById('pasteInput'),
+    pastePreview: () => document.getElementById('pastePreview'),
+    pasteAddBtn: () => document.getElementById('pasteAddBtn'),
+    pasteCancelBtn: () => document.getElementById('pasteCancelBtn'),
+    installBtn: () => document.getElementById('installBtn'),
+    updateBanner: () => document.getElementById('updateBanner'),
+    updateReloadBtn: () => document.getElementById('updateReloadBtn'),
+    updateDismissBtn: () => document.getElementById('updateDismissBtn'),
+    reportBtn: () => document.getElementById('reportBtn'),
+    reportView: () => document.getElementById('reportView'),
+    reportBody: () => document.getElementById('reportBody'),
+    reportStudentName: () => document.getElementById('reportStudentName'),
+    reportStudentId: () => document.getElementById('reportStudentId'),
+    reportSchemeName: () => document.getElementById('reportSchemeName'),
+    reportDate: () => document.getElementById('reportDate'),
+    studentName: () => document.getElementById('studentName'),
+    studentId: () => document.getElementById('studentId'),
+    printReportBtn: () => document.getElementById('printReportBtn'),
+    closeReportBtn: () => document.getElementById('closeReportBtn'),
+    chartsContent: () => document.getElementById('chartsContent'),
+    semesterTableWrapper: () => document.getElementById('semesterTableWrapper'),
+    semesterTableBody: () => document.getElementById('semesterTableBody'),
     detailsBody: () => document.getElementById('detailsBody')
 };
 
@@ -214,23 +527,65 @@ const elements = {
 // UI FUNCTIONS
 // ============================================
 
+/**
+ * Escapes a string for safe insertion into HTML.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parses a number input value.
+ * @param {string} value - Raw input value
+ * @returns {number|null} Parsed number, or null if empty/invalid
+ */
+function parseNumberInput(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
 /**
  * Creates the HTML for a course row.
  * @param {number} id - Unique course ID
  * @returns {string} HTML string
  */
 function createCourseRowHTML(id) {
+    const scheme = getGradingScheme();
+    const lowestLetter = scheme.grades[scheme.grades.length - 1].letter;
+    const statusHint = COURSE_STATUSES.slice(1).map(status => {
+        const effect = getStatusEffect(status.code, scheme);
+        const credits = [effect.attempted && 'attempted', effect.earned && 'earned'].filter(Boolean);
+        return `${status.code}: ${effect.countsInGPA ? `counts as ${lowestLetter}` : 'not in GPA'}${credits.length > 0 ? `, ${credits.join(' and ')} credits` : ''}`;
+    }).join('; ');
+    const repeatHint = scheme.repeatCap
+        ? `Per ${scheme.name} rules: Repeated courses have a maximum grade of ${scheme.repeatCap} (${formatFraction(mapLetterToGradePoint(scheme.repeatCap, scheme), 2)}), even if score is higher`
+        : `${scheme.name} does not cap repeated courses; the new attempt replaces the earlier one`;
+    
     return `
         <div class="course-row" data-course-id="${id}">
             <div class="course-header">
-                <span class="course-number">Course #${id}</span>
-                <button type="button" class="remove-btn" onclick="removeCourse(${id})" aria-label="Remove course">✕</button>
+                <div class="course-title">
+                    <span class="drag-handle" draggable="true" role="button" tabindex="0" aria-label="Move course (drag, or press the up and down arrow keys)" title="Drag to reorder, or focus and press ↑/↓">⠿</span>
+                    <span class="course-number">Course</span>
+                </div>
+                <div class="course-row-actions">
+                    <button type="button" class="duplicate-btn" onclick="duplicateCourse(${id})" aria-label="Duplicate course" title="Duplicate course">⧉</button>
+                    <button type="button" class="remove-btn" onclick="removeCourse(${id})" aria-label="Remove course">✕</button>
+                </div>
             </div>
             
             <div class="course-inputs">
                 <div class="input-group">
                     <label for="courseName${id}">Course Name</label>
-                    <input type="text" id="courseName${id}" placeholder="e.g., CSAI 101" maxlength="50">
+                    <input type="text" id="courseName${id}" list="courseCatalogOptions" placeholder="e.g., CSAI 101" maxlength="50" autocomplete="off">
+                    <small class="catalog-info" id="courseCatalogInfo${id}"></small>
                 </div>
                 
                 <div class="input-group">
@@ -245,35 +600,88 @@ function createCourseRowHTML(id) {
                         <button type="button" class="active" onclick="toggleGradeInput(${id}, 'letter')">Letter</button>
                     </div>
                     <div id="gradeInputContainer${id}">
-                        <select id="courseLetter${id}">
-                            <option value="">Select grade</option>
-                            <option value="A">A (4.00)</option>
-                            <option value="A-">A- (3.66)</option>
-                            <option value="B+">B+ (3.33)</option>
-                            <option value="B">B (3.00)</option>
-                            <option value="B-">B- (2.66)</option>
-                            <option value="C+">C+ (2.33)</option>
-                            <option value="C">C (2.00)</option>
-                            <option value="C-">C- (1.67)</option>
-                            <option value="F">F (0.00)</option>
-                        </select>
+                        ${createLetterSelectHTML(id)}
                     </div>
                 </div>
             </div>
             
             <div class="course-options">
-                <label class="checkbox-label">
-                    <input type="checkbox" id="courseExcluded${id}" onchange="updateCourseVisual(${id})">
-                    <span>Exclude from GPA</span>
-                    <span class="info-icon" title="Check this for Withdraw (W), Drop, WP, or WF courses that should not affect your GPA">?</span>
-                </label>
+                <div class="input-group status-group">
+                    <label for="courseStatus${id}">
+                        Status
+                        <span class="info-icon" title="${escapeHTML(statusHint)}">?</span>
+                    </label>
+                    <select id="courseStatus${id}" onchange="updateCourseVisual(${id})">
+                        ${COURSE_STATUSES.map(s => `<option value="${s.code}">${s.label}</option>`).join('')}
+                    </select>
+                </div>
                 
                 <label class="checkbox-label">
                     <input type="checkbox" id="courseRepeated${id}" onchange="updateCourseVisual(${id})">
                     <span>Repeated Course</span>
-                    <span class="info-icon" title="Per PDF rules: Repeated courses have a maximum grade of B+ (3.33), even if score is higher">?</span>
+                    <span class="info-icon" title="${escapeHTML(repeatHint)}">?</span>
                 </label>
             </div>
+            
+            <div class="previous-attempt" id="previousAttempt${id}" style="display: none">
+                <div class="input-group">
+                    <label for="coursePrevLetter${id}">Previous Attempt Grade</label>
+                    <select id="coursePrevLetter${id}">
+                        <option value="">Not in previous record</option>
+                        ${createLetterOptionsHTML()}
+                    </select>
+                </div>
+                
+                <div class="input-group">
+                    <label for="coursePrevCredits${id}">Previous Attempt Credits</label>
+                    <input type="number" id="coursePrevCredits${id}" min="0.5" max="6" step="0.5" placeholder="Same as now">
+                </div>
+                
+                <small>The earlier attempt is removed from your previous record when calculating CGPA.</small>
+            </div>
+            <small class="previous-attempt-note">In a transcript, a repeated course replaces the latest earlier attempt with the same name.</small>
+            
+            <details class="what-if" id="whatIf${id}">
+                <summary>What-if grades</summary>
+                <div class="what-if-grades">
+                    ${SCENARIOS.map(s => `
+                        <div class="input-group">
+                            <label for="courseScenario-${s.key}${id}">${s.label}</label>
+                            <select id="courseScenario-${s.key}${id}">
+                                <option value="">Same as grade</option>
+                                ${createLetterOptionsHTML()}
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+            </details>
+        </div>
+    `;
+}
+
+/**
+ * Creates the HTML for a transcript semester block.
+ * @param {number} id - Unique semester ID
+ * @returns {string} HTML string
+ */
+function createSemesterHTML(id) {
+    return `
+        <div class="semester" data-semester-id="${id}">
+            <div class="semester-header">
+                <div class="input-group">
+                    <label for="semesterName${id}">Semester</label>
+                    <input type="text" id="semesterName${id}" class="semester-name" placeholder="e.g., Fall 24" maxlength="30">
+                </div>
+                <div class="semester-actions">
+                    <button type="button" class="btn btn-secondary" onclick="addCourse(${id})">➕ Add Course</button>
+                    <button type="button" class="btn btn-secondary" onclick="openPasteDialog(${id})">📋 Paste</button>
+                    <select class="sort-select" onchange="sortCourses(this.value, ${id}); this.value = ''" aria-label="Sort courses">${createSortOptionsHTML()}</select>
+                    <button type="button" class="remove-btn" onclick="removeSemester(${id})" aria-label="Remove semester">✕</button>
+                </div>
+            </div>
+            
+            <div class="course-list" id="semesterCourses${id}"></div>
+            <p class="empty-message" id="semesterEmpty${id}">No courses in this semester yet.</p>
         </div>
     `;
 }
@@ -287,25 +695,44 @@ function createLetterSelectHTML(id) {
     return `
         <select id="courseLetter${id}">
             <option value="">Select grade</option>
-            <option value="A">A (4.00)</option>
-            <option value="A-">A- (3.66)</option>
-            <option value="B+">B+ (3.33)</option>
-            <option value="B">B (3.00)</option>
-            <option value="B-">B- (2.66)</option>
-            <option value="C+">C+ (2.33)</option>
-            <option value="C">C (2.00)</option>
-            <option value="C-">C- (1.67)</option>
-            <option value="F">F (0.00)</option>
+            ${createLetterOptionsHTML()}
         </select>
     `;
 }
 
+/**
+ * Creates the letter grade <option> list for a grading scheme.
+ * @param {Object} scheme - Grading scheme (defaults to the selected scheme)
+ * @returns {string} HTML string
+ */
+function createLetterOptionsHTML(scheme = getGradingScheme()) {
+    return scheme.grades.map(({ letter, point }) => `
+        <option value="${escapeHTML(letter)}">${escapeHTML(letter)} (${formatFraction(point, 2)})</option>
+    `).join('');
+}
+
 /**
  * Toggles between numeric and letter grade input.
  * @param {number} id - Course ID
  * @param {string} type - 'numeric' or 'letter'
  */
 function toggleGradeInput(id, type) {
+    const course = findCourse(id);
+    if (!course) return;
+    
+    course.gradeType = type;
+    renderGradeInput(course);
+    handleFormChange();
+    saveState();
+}
+
+/**
+ * Renders the grade input (numeric score or letter select) for a course row.
+ * @param {Object} course - Course input object
+ */
+function renderGradeInput(course) {
+    const id = course.id;
+    const type = course.gradeType;
     const container = document.getElementById(`gradeInputContainer${id}`);
     const toggleBtns = container.parentElement.querySelectorAll('.grade-toggle button');
     
@@ -317,16 +744,14 @@ function toggleGradeInput(id, type) {
         );
     });
     
-    // Update input
+    // Update input, keeping any value entered before switching
     if (type === 'numeric') {
         container.innerHTML = `<input type="number" id="courseScore${id}" min="0" max="100" step="1" placeholder="0-100">`;
+        document.getElementById(`courseScore${id}`).value = course.score ?? '';
     } else {
         container.innerHTML = createLetterSelectHTML(id);
+        document.getElementById(`courseLetter${id}`).value = course.letter;
     }
-    
-    // Store the input type for this course
-    const courseRow = document.querySelector(`[data-course-id="${id}"]`);
-    courseRow.dataset.gradeType = type;
 }
 
 /**
@@ -335,26 +760,89 @@ function toggleGradeInput(id, type) {
  */
 function updateCourseVisual(id) {
     const row = document.querySelector(`[data-course-id="${id}"]`);
-    const excluded = document.getElementById(`courseExcluded${id}`).checked;
+    const status = document.getElementById(`courseStatus${id}`).value;
+    const excluded = !getStatusEffect(status, getGradingScheme()).countsInGPA;
     const repeated = document.getElementById(`courseRepeated${id}`).checked;
     
     row.classList.toggle('excluded', excluded);
     row.classList.toggle('capped', repeated && !excluded);
+    row.querySelector('.grade-input-group').style.display = status === 'graded' ? '' : 'none';
+    document.getElementById(`previousAttempt${id}`).style.display = repeated ? 'grid' : 'none';
+}
+
+/**
+ * Returns the course list element for the current term or a transcript semester.
+ * @param {number|null} semesterId - Semester ID, or null for the current term
+ * @returns {HTMLElement} Course list element
+ */
+function getCourseListElement(semesterId = null) {
+    return semesterId === null
+        ? elements.courseList()
+        : document.getElementById(`semesterCourses${semesterId}`);
+}
+
+/**
+ * Shows or hides the "no courses" / "no semesters" messages.
+ */
+function updateEmptyMessages() {
+    elements.emptyMessage().style.display = state.courses.length === 0 ? 'block' : 'none';
+    elements.semesterEmptyMessage().style.display = state.semesters.length === 0 ? 'block' : 'none';
+    
+    state.semesters.forEach(semester => {
+        const message = document.getElementById(`semesterEmpty${semester.id}`);
+        if (message) {
+            message.style.display = semester.courses.length === 0 ? 'block' : 'none';
+        }
+    });
+}
+
+/**
+ * Inserts a course row for a course input object and fills in its values.
+ * @param {Object} course - Course input object
+ * @param {string} position - insertAdjacentHTML position in the course list
+ * @param {HTMLElement} container - Course list element to insert into
+ */
+function renderCourseRow(course, position = 'beforeend', container = elements.courseList()) {
+    const id = course.id;
+    container.insertAdjacentHTML(position, createCourseRowHTML(id));
+    
+    document.getElementById(`courseName${id}`).value = course.name;
+    document.getElementById(`courseCredits${id}`).value = course.credits ?? '';
+    document.getElementById(`courseStatus${id}`).value = course.status;
+    document.getElementById(`courseRepeated${id}`).checked = course.repeated;
+    document.getElementById(`coursePrevLetter${id}`).value = course.previousLetter;
+    document.getElementById(`coursePrevCredits${id}`).value = course.previousCredits ?? '';
+    
+    SCENARIOS.forEach(s => {
+        document.getElementById(`courseScenario-${s.key}${id}`).value = course.scenarioLetters[s.key];
+    });
+    document.getElementById(`whatIf${id}`).open = SCENARIOS.some(s => course.scenarioLetters[s.key]);
+    
+    renderGradeInput(course);
+    updateCourseVisual(id);
 }
 
 /**
  * Adds a new course row.
+ * @param {number|null} semesterId - Transcript semester to add to, or null for the current term
  */
-function addCourse() {
+function addCourse(semesterId = null) {
+    const semester = semesterId === null ? null : findSemester(semesterId);
+    const courses = semester ? semester.courses : state.courses;
+    
     state.courseCounter++;
-    const html = createCourseRowHTML(state.courseCounter);
+    const course = createCourse(state.courseCounter);
     
-    elements.courseList().insertAdjacentHTML('afterbegin', html);
-    elements.emptyMessage().style.display = 'none';
+    courses.push(course);
+    renderCourseRow(course, 'beforeend', getCourseListElement(semester ? semester.id : null));
+    updateCourseNumbers();
+    updateEmptyMessages();
+    handleFormChange();
+    saveState();
     
     // Focus the credit hours input
     setTimeout(() => {
-        document.getElementById(`courseCredits${state.courseCounter}`).focus();
+        document.getElementById(`courseCredits${course.id}`)?.focus();
     }, 100);
 }
 
@@ -363,147 +851,207 @@ function addCourse() {
  * @param {number} id - Course ID
  */
 function removeCourse(id) {
+    const courses = findCourseCollection(id);
+    if (courses) {
+        const [course] = courses.splice(courses.findIndex(c => c.id === id), 1);
+        updateCourseNumbers();
+        updateCourseHints(courses);
+        handleFormChange();
+        saveState();
+        showUndoToast(`Removed ${course.name.trim() || 'course'}.`);
+    }
+    
     const row = document.querySelector(`[data-course-id="${id}"]`);
     if (row) {
         row.style.animation = 'slideIn 0.2s ease reverse';
         setTimeout(() => {
             row.remove();
-            if (elements.courseList().children.length === 0) {
-                elements.emptyMessage().style.display = 'block';
-            }
+            updateEmptyMessages();
         }, 200);
     }
 }
 
 /**
- * Collects all course data from the form.
- * @returns {Array} Array of course objects
+ * Renders a transcript semester block with its course rows.
+ * @param {Object} semester - Semester object
  */
-function collectCourseData() {
-    const rows = elements.courseList().querySelectorAll('.course-row');
-    const courses = [];
+function renderSemester(semester) {
+    elements.semesterList().insertAdjacentHTML('beforeend', createSemesterHTML(semester.id));
+    document.getElementById(`semesterName${semester.id}`).value = semester.name;
     
-    rows.forEach(row => {
-        const id = row.dataset.courseId;
-        const gradeType = row.dataset.gradeType || 'letter';
-        
-        const name = document.getElementById(`courseName${id}`)?.value.trim() || `Course ${id}`;
-        const credits = parseFloat(document.getElementById(`courseCredits${id}`)?.value) || 0;
-        const excluded = document.getElementById(`courseExcluded${id}`)?.checked || false;
-        const repeated = document.getElementById(`courseRepeated${id}`)?.checked || false;
-        
-        let gradePoint = 0;
-        let letter = 'F';
-        let score = null;
-        
-        if (gradeType === 'numeric') {
-            score = parseFloat(document.getElementById(`courseScore${id}`)?.value);
-            if (!isNaN(score)) {
-                const mapped = mapNumericToGradePoint(score);
-                gradePoint = mapped.point;
-                letter = mapped.letter;
-            }
-        } else {
-            letter = document.getElementById(`courseLetter${id}`)?.value || '';
-            if (letter) {
-                gradePoint = mapLetterToGradePoint(letter);
-            }
-        }
-        
-        courses.push({
-            id,
-            name,
-            credits,
-            score,
-            gradePoint,
-            letter,
-            excluded,
-            repeated,
-            gradeType
-        });
-    });
+    const container = getCourseListElement(semester.id);
+    semester.courses.forEach(course => renderCourseRow(course, 'beforeend', container));
+}
+
+/**
+ * Adds a new transcript semester with one empty course.
+ */
+function addSemester() {
+    state.semesterCounter++;
+    const semester = { id: state.semesterCounter, name: '', courses: [] };
+    
+    state.semesters.push(semester);
+    renderSemester(semester);
+    addCourse(semester.id);
     
-    return courses;
+    // Focus the semester name after addCourse() focuses its course
+    setTimeout(() => {
+        document.getElementById(`semesterName${semester.id}`)?.focus();
+    }, 150);
 }
 
 /**
- * Validates course data and returns any errors.
- * @param {Array} courses - Array of course objects
- * @returns {Array} Array of error messages
+ * Removes a transcript semester and its courses.
+ * @param {number} id - Semester ID
  */
-function validateCourses(courses) {
-    const errors = [];
+function removeSemester(id) {
+    const semester = findSemester(id);
+    if (!semester) return;
     
-    if (courses.length === 0) {
-        errors.push('Please add at least one course.');
-        return errors;
+    const count = semester.courses.length;
+    if (count > 0 &&
+        !confirm(`Remove ${semester.name.trim() || 'this semester'} and its ${count} course${count === 1 ? '' : 's'}?`)) {
+        return;
     }
     
-    courses.forEach((course, index) => {
-        const num = index + 1;
-        
-        if (course.credits <= 0) {
-            errors.push(`Course ${num}: Credit hours must be greater than 0.`);
-        }
-        
-        if (course.credits > 6) {
-            errors.push(`Course ${num}: Credit hours cannot exceed 6.`);
-        }
-        
-        if (!course.excluded) {
-            if (course.gradeType === 'numeric') {
-                if (course.score === null || isNaN(course.score)) {
-                    errors.push(`Course ${num}: Please enter a valid numeric score.`);
-                } else if (course.score < 0 || course.score > 100) {
-                    errors.push(`Course ${num}: Score must be between 0 and 100.`);
-                }
-            } else if (!course.letter) {
-                errors.push(`Course ${num}: Please select a letter grade.`);
-            }
-        }
-    });
+    state.semesters = state.semesters.filter(s => s.id !== semester.id);
+    handleFormChange();
+    saveState();
+    showUndoToast(`Removed ${semester.name.trim() || 'semester'}.`);
     
-    return errors;
+    document.querySelector(`[data-semester-id="${semester.id}"]`)?.remove();
+    updateEmptyMessages();
 }
 
 /**
- * Validates CGPA input fields.
- * @returns {Array} Array of error messages
+ * Returns the display name of a semester, falling back to its position.
+ * @param {Object} semester - Semester object
+ * @param {number} index - Position in the transcript
+ * @returns {string} Semester name
  */
-function validateCGPAInputs() {
-    const errors = [];
+function getSemesterLabel(semester, index) {
+    return semester.name.trim() || `Semester ${index + 1}`;
+}
+
+/**
+ * Reads a course row's inputs into its course input object.
+ * @param {Object} course - Course input object
+ */
+function readCourseRow(course) {
+    const id = course.id;
     
-    if (state.mode !== 'cgpa') return errors;
+    course.name = document.getElementById(`courseName${id}`)?.value ?? course.name;
+    course.credits = parseNumberInput(document.getElementById(`courseCredits${id}`)?.value);
+    course.status = document.getElementById(`courseStatus${id}`)?.value || 'graded';
+    course.repeated = document.getElementById(`courseRepeated${id}`)?.checked || false;
+    course.previousLetter = document.getElementById(`coursePrevLetter${id}`)?.value || '';
+    course.previousCredits = parseNumberInput(document.getElementById(`coursePrevCredits${id}`)?.value);
     
-    const prevCGPA = parseFloat(elements.prevCGPA().value);
-    const prevCredits = parseFloat(elements.prevCredits().value);
+    SCENARIOS.forEach(s => {
+        course.scenarioLetters[s.key] = document.getElementById(`courseScenario-${s.key}${id}`)?.value || '';
+    });
     
-    if (isNaN(prevCGPA) || prevCGPA < 0 || prevCGPA > 4) {
-        errors.push('Previous CGPA must be between 0.00 and 4.00.');
+    if (course.gradeType === 'numeric') {
+        course.score = parseNumberInput(document.getElementById(`courseScore${id}`)?.value);
+    } else {
+        course.letter = document.getElementById(`courseLetter${id}`)?.value || '';
     }
+}
+
+/**
+ * Syncs edits in a course row back into state and autosaves.
+ * @param {Event} event - input/change event from the course list
+ */
+function handleCourseInput(event) {
+    const row = event.target.closest('.course-row');
+    const course = row && findCourse(row.dataset.courseId);
+    if (!course) return;
     
-    if (isNaN(prevCredits) || prevCredits < 0) {
-        errors.push('Previous total credits must be 0 or greater.');
+    const isName = event.target.id === `courseName${course.id}`;
+    const previousMatch = isName ? findCatalogCourse(course.name, courseCatalog) : undefined;
+    
+    readCourseRow(course);
+    if (isName) {
+        fillCatalogCredits(course, previousMatch);
+        updateCourseHints(findCourseCollection(course.id));
     }
     
-    return errors;
+    // Errors show once an input is committed, then update as the user types
+    if (event.type === 'change') {
+        touchedInputs.add(event.target.id);
+    }
+    handleFormChange();
+    saveState(event.type === 'input' ? event.target.id : null);
 }
 
 /**
- * Displays error messages.
- * @param {Array} errors - Array of error messages
+ * Syncs edits in the transcript (semester names and course rows) into state.
+ * @param {Event} event - input/change event from the semester list
  */
-function showErrors(errors) {
-    // Remove existing error messages
-    document.querySelectorAll('.error-message').forEach(el => el.remove());
-    
+function handleSemesterInput(event) {
+    if (event.target.classList.contains('semester-name')) {
+        const semester = findSemester(event.target.closest('.semester').dataset.semesterId);
+        if (semester) {
+            semester.name = event.target.value;
+            handleFormChange();
+            saveState(event.type === 'input' ? event.target.id : null);
+        }
+        return;
+    }
+    
+    handleCourseInput(event);
+}
+
+/**
+ * Syncs the previous academic record inputs into state and autosaves.
+ * @param {Event} event - input/change event from a previous record input
+ */
+function handlePreviousInput(event) {
+    state.previous.cgpa = parseNumberInput(elements.prevCGPA().value);
+    state.previous.credits = parseNumberInput(elements.prevCredits().value);
+    
+    if (event.type === 'change') {
+        touchedInputs.add(event.target.id);
+    }
+    handleFormChange();
+    saveState(event.type === 'input' ? event.target.id : null);
+}
+
+/**
+ * Builds course data for calculation from the state.
+ * `excluded` marks courses whose status keeps them out of the GPA; only graded courses
+ * need a grade (`hasGrade` is true for every other status).
+ * @param {Array} courseInputs - Course input objects (defaults to the current term)
+ * @returns {Array} Array of course objects
+ */
+function collectCourseData(courseInputs = state.courses) {
+    return createCourseData(courseInputs, getGradingScheme());
+}
+
+/**
+ * Validates CGPA input fields.
+ * @returns {Array} Array of error messages
+ */
+function validateCGPAInputs() {
+    if (state.mode !== 'cgpa') return [];
+    return validatePreviousRecord(state.previous, getGradingScheme());
+}
+
+/**
+ * Displays error messages.
+ * @param {Array} errors - Array of error messages
+ */
+function showErrors(errors) {
+    // Remove existing error messages
+    document.querySelectorAll('.error-message').forEach(el => el.remove());
+    
     if (errors.length === 0) return;
     
     const errorHTML = `
         <div class="error-message">
             <strong>⚠️ Please fix the following errors:</strong>
             <ul style="margin: 0.5rem 0 0 1.5rem;">
-                ${errors.map(e => `<li>${e}</li>`).join('')}
+                ${errors.map(e => `<li>${escapeHTML(e)}</li>`).join('')}
             </ul>
         </div>
     `;
@@ -515,8 +1063,9 @@ function showErrors(errors) {
 /**
  * Renders the results section.
  * @param {Object} result - Calculation result object
+ * @param {boolean} scroll - Whether to scroll to the results (live updates stay in place)
  */
-function renderResults(result) {
+function renderResults(result, scroll = true) {
     // Clear errors
     document.querySelectorAll('.error-message').forEach(el => el.remove());
     
@@ -524,7 +1073,7 @@ function renderResults(result) {
     const gpa = isCGPA ? result.cgpa : result.gpa;
     
     // Update GPA display
-    elements.gpaValue().textContent = gpa.toFixed(4);
+    elements.gpaValue().textContent = formatFraction(gpa, 4);
     elements.gpaLabel().textContent = isCGPA ? 'Cumulative GPA' : 'Term GPA';
     
     // Summary stats
@@ -534,9 +1083,17 @@ function renderResults(result) {
             <div class="stat-label">Term Credits</div>
         </div>
         <div class="stat-card">
-            <div class="stat-value">${result.termResult.totalQualityPoints.toFixed(2)}</div>
+            <div class="stat-value">${formatFraction(result.termResult.totalQualityPoints, 2)}</div>
             <div class="stat-label">Term Quality Points</div>
         </div>
+        <div class="stat-card">
+            <div class="stat-value">${result.termResult.attemptedCredits}</div>
+            <div class="stat-label">Attempted Credits</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${result.termResult.earnedCredits}</div>
+            <div class="stat-label">Earned Credits</div>
+        </div>
     `;
     
     if (isCGPA) {
@@ -546,7 +1103,7 @@ function renderResults(result) {
                 <div class="stat-label">Total Credits</div>
             </div>
             <div class="stat-card">
-                <div class="stat-value">${result.totalQualityPoints.toFixed(2)}</div>
+                <div class="stat-value">${formatFraction(result.totalQualityPoints, 2)}</div>
                 <div class="stat-label">Total Quality Points</div>
             </div>
         `;
@@ -559,7 +1116,7 @@ function renderResults(result) {
         statsHTML += `
             <div class="stat-card">
                 <div class="stat-value">${excludedCount}</div>
-                <div class="stat-label">Excluded Courses</div>
+                <div class="stat-label">Courses Outside GPA</div>
             </div>
         `;
     }
@@ -568,7 +1125,7 @@ function renderResults(result) {
         statsHTML += `
             <div class="stat-card">
                 <div class="stat-value">${cappedCount}</div>
-                <div class="stat-label">Capped at B+</div>
+                <div class="stat-label">Capped at ${escapeHTML(getGradingScheme().repeatCap)}</div>
             </div>
         `;
     }
@@ -580,10 +1137,12 @@ function renderResults(result) {
     
     result.termResult.courses.filter(c => !c.excluded).forEach(course => {
         const capNote = course.wasCapped ? ' (capped from original)' : '';
+        const statusNote = course.status !== 'graded' ? ` (${course.status} counts as ${escapeHTML(course.letter)})` : '';
+        const replaceNote = isCGPA && course.replacedAttempt ? ` (replaces earlier ${escapeHTML(course.replacedAttempt.letter)})` : '';
         breakdownHTML += `
             <div class="breakdown-line">
-                <span>${course.name}: ${course.credits} cr × ${course.gradePoint.toFixed(2)} pts${capNote}</span>
-                <span>= ${course.qualityPoints.toFixed(2)} QP</span>
+                <span>${escapeHTML(course.name)}: ${course.credits} cr × ${formatFraction(course.gradePoint, 2)} pts${capNote}${statusNote}${replaceNote}</span>
+                <span>= ${formatFraction(course.qualityPoints, 2)} QP</span>
             </div>
         `;
     });
@@ -591,7 +1150,7 @@ function renderResults(result) {
     breakdownHTML += `
         <div class="breakdown-line">
             <span>Term Total</span>
-            <span>${result.termResult.totalQualityPoints.toFixed(2)} QP / ${result.termResult.totalCredits} cr</span>
+            <span>${formatFraction(result.termResult.totalQualityPoints, 2)} QP / ${result.termResult.totalCredits} cr</span>
         </div>
     `;
     
@@ -599,7 +1158,7 @@ function renderResults(result) {
         breakdownHTML += `
             <div class="breakdown-line">
                 <span>Term GPA</span>
-                <span>${result.termResult.gpa.toFixed(4)}</span>
+                <span>${formatFraction(result.termResult.gpa, 4)}</span>
             </div>
         `;
     }
@@ -607,95 +1166,456 @@ function renderResults(result) {
     if (isCGPA) {
         breakdownHTML += `
             <div class="breakdown-line" style="margin-top: 1rem; padding-top: 1rem; border-top: 2px solid var(--gray-300);">
-                <span>Previous: ${result.prevCredits} cr × ${result.prevCGPA.toFixed(2)} GPA</span>
-                <span>= ${result.prevQualityPoints.toFixed(2)} QP</span>
+                <span>Previous: ${result.prevCredits} cr × ${formatFraction(result.prevCGPA, 2)} GPA</span>
+                <span>= ${formatFraction(result.prevQualityPoints, 2)} QP</span>
             </div>
+        `;
+        
+        // Earlier attempts of repeated courses leave the previous record
+        result.termResult.courses.filter(c => c.replacedAttempt).forEach(course => {
+            const attempt = course.replacedAttempt;
+            breakdownHTML += `
+                <div class="breakdown-line replaced-line">
+                    <span>Replaced: ${escapeHTML(course.name)} earlier ${escapeHTML(attempt.letter)}, ${attempt.credits} cr × ${formatFraction(attempt.gradePoint, 2)} pts</span>
+                    <span>− ${formatFraction(attempt.qualityPoints, 2)} QP / − ${attempt.credits} cr</span>
+                </div>
+            `;
+        });
+        
+        if (result.replacedCredits > 0) {
+            breakdownHTML += `
+                <div class="breakdown-line">
+                    <span>Previous after replacement</span>
+                    <span>${formatFraction(subtractFractions(result.prevQualityPoints, result.replacedQualityPoints), 2)} QP / ${result.prevCredits - result.replacedCredits} cr</span>
+                </div>
+            `;
+        }
+        
+        breakdownHTML += `
             <div class="breakdown-line">
                 <span>New Total</span>
-                <span>${result.totalQualityPoints.toFixed(2)} QP / ${result.totalCredits} cr</span>
+                <span>${formatFraction(result.totalQualityPoints, 2)} QP / ${result.totalCredits} cr</span>
             </div>
             <div class="breakdown-line">
                 <span><strong>New CGPA</strong></span>
-                <span><strong>${result.cgpa.toFixed(4)}</strong></span>
+                <span><strong>${formatFraction(result.cgpa, 4)}</strong></span>
             </div>
         `;
     }
     
     elements.breakdownContent().innerHTML = breakdownHTML;
     
+    // Academic standing
+    renderStanding(evaluateStanding({
+        termResult: result.termResult,
+        cgpa: isCGPA ? result.cgpa : null,
+        scheme: getGradingScheme()
+    }));
+    
+    // What-if scenarios
+    renderScenarios(result.scenarios, isCGPA ? result.prevCGPA : null);
+    renderImpact(result.impact, isCGPA);
+    renderCharts(null, computeGradeDistribution([result.termResult], getGradingScheme()));
+    
     // Details table
-    let tableHTML = '';
-    result.termResult.courses.forEach(course => {
-        const rowClass = course.excluded ? 'excluded' : (course.wasCapped ? 'capped' : '');
-        let statusBadge = '';
-        
-        if (course.excluded) {
-            statusBadge = '<span class="status-badge excluded">Excluded</span>';
-        } else if (course.wasCapped) {
-            statusBadge = '<span class="status-badge capped">Capped B+</span>';
-        } else {
-            statusBadge = '<span class="status-badge included">Included</span>';
-        }
+    elements.semesterTableWrapper().style.display = 'none';
+    elements.detailsBody().innerHTML = result.termResult.courses
+        .map(course => createDetailsRowHTML(isCGPA ? course : { ...course, replacedAttempt: null }))
+        .join('');
+    
+    // Show results
+    elements.resultsSection().style.display = 'block';
+    if (scroll) {
+        elements.resultsSection().scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Renders the academic standing list, one line per rule that applied.
+ * @param {Array} standing - Result of evaluateStanding
+ */
+function renderStanding(standing) {
+    elements.standingContent().innerHTML = standing.map(item => `
+        <li class="standing-item ${item.level}">
+            <strong>${escapeHTML(item.title)}</strong>
+            <span>${escapeHTML(item.explanation)}</span>
+        </li>
+    `).join('');
+    elements.standingWrapper().style.display = standing.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Renders the what-if scenarios side by side.
+ * @param {Array} scenarios - Result of computeScenarios (empty when unused)
+ * @param {number|null} prevCGPA - Current CGPA to compare against (CGPA mode)
+ */
+function renderScenarios(scenarios, prevCGPA) {
+    if (scenarios.length === 0) {
+        elements.scenarioWrapper().style.display = 'none';
+        return;
+    }
+    
+    const headers = scenarios.map(s => `<th>${s.label}</th>`).join('');
+    const row = (label, format) => `
+        <tr>
+            <th scope="row">${label}</th>
+            ${scenarios.map(s => `<td>${format(s)}</td>`).join('')}
+        </tr>
+    `;
+    
+    let rowsHTML = row('Term GPA', s => (s.termResult.totalCredits > 0 ? formatFraction(s.termResult.gpa, 4) : '-'));
+    rowsHTML += row('Term Quality Points', s => formatFraction(s.termResult.totalQualityPoints, 2));
+    
+    if (prevCGPA !== null) {
+        rowsHTML += row('New CGPA', s => formatFraction(s.cgpaResult.cgpa, 4));
+        rowsHTML += row(`Change from ${formatFraction(prevCGPA, 2)}`, s => formatDeltaHTML(s.cgpaDelta, 4));
+    }
+    
+    // Grade each course takes in each scenario
+    const courseRowsHTML = scenarios[0].termResult.courses.map((course, index) => `
+        <tr class="scenario-course">
+            <th scope="row">${escapeHTML(course.name)}</th>
+            ${scenarios.map(s => {
+                const scenarioCourse = s.termResult.courses[index];
+                return `<td>${scenarioCourse.status !== 'graded' ? scenarioCourse.status : escapeHTML(scenarioCourse.letter)}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+    
+    elements.scenarioContent().innerHTML = `
+        <table class="details-table scenario-table">
+            <thead><tr><th></th>${headers}</tr></thead>
+            <tbody>${rowsHTML}${courseRowsHTML}</tbody>
+        </table>
+    `;
+    elements.scenarioWrapper().style.display = 'block';
+}
+
+/**
+ * Formats a GPA change with its sign, green when it goes up and red when it goes down.
+ * @param {Object} delta - Change (fraction)
+ * @param {number} digits - Decimal places
+ * @returns {string} HTML string
+ */
+function formatDeltaHTML(delta, digits) {
+    const sign = compareFractions(delta, 0);
+    const className = sign > 0 ? 'delta-up' : (sign < 0 ? 'delta-down' : '');
+    const magnitude = formatFraction(sign < 0 ? multiplyFractions(delta, -1) : delta, digits);
+    return `<span class="${className}">${sign < 0 ? '−' : '+'}${magnitude}</span>`;
+}
+
+/**
+ * Renders the course impact table: each course's share of the GPA as a bar chart, the
+ * change one letter step up or down would make, and the course with the highest leverage.
+ * @param {Object|null} impact - Result of computeCourseImpact, or null to hide the table
+ * @param {boolean} isCGPA - Whether to show the CGPA columns
+ */
+function renderImpact(impact, isCGPA) {
+    if (!impact || impact.courses.length === 0) {
+        elements.impactWrapper().style.display = 'none';
+        return;
+    }
+    
+    // Bars are scaled to the largest share
+    const maxShare = impact.courses.reduce((max, c) => Math.max(max, fractionToNumber(c.termShare)), 0);
+    const formatStep = step => {
+        if (!step) return '-';
+        const cgpa = isCGPA ? `<br><small>CGPA ${formatDeltaHTML(step.cgpaDelta, 2)}</small>` : '';
+        return `${escapeHTML(step.letter)}: ${formatDeltaHTML(step.termDelta, 2)}${cgpa}`;
+    };
+    
+    const rowsHTML = impact.courses.map(course => {
+        const width = maxShare > 0 ? (fractionToNumber(course.termShare) / maxShare) * 100 : 0;
+        const isHighest = course.id === impact.highestLeverageId;
         
-        tableHTML += `
-            <tr class="${rowClass}">
-                <td>${course.name}</td>
+        return `
+            <tr class="${isHighest ? 'highest-leverage' : ''}">
+                <td>${escapeHTML(course.name)}${isHighest ? ' <span class="status-badge leverage">Highest leverage</span>' : ''}</td>
                 <td>${course.credits}</td>
-                <td>${course.letter}${course.score !== null ? ` (${course.score})` : ''}</td>
-                <td>${course.excluded ? '-' : course.gradePoint.toFixed(2)}</td>
-                <td>${course.excluded ? '-' : course.qualityPoints.toFixed(2)}</td>
-                <td>${statusBadge}</td>
+                <td>${escapeHTML(course.letter)}</td>
+                <td class="impact-share">
+                    <span class="impact-bar" style="width: ${width.toFixed(1)}%"></span>
+                    <span>${formatFraction(course.termShare, 2)}${isCGPA && course.cgpaShare ? ` <small>(CGPA ${formatFraction(course.cgpaShare, 2)})</small>` : ''}</span>
+                </td>
+                <td>${formatStep(course.up)}</td>
+                <td>${formatStep(course.down)}</td>
             </tr>
         `;
+    }).join('');
+    
+    const highest = impact.courses.find(c => c.id === impact.highestLeverageId);
+    const summary = highest
+        ? `<p class="impact-summary">🎯 Focus on <strong>${escapeHTML(highest.name)}</strong>: one letter step there moves your term GPA by up to ${formatFraction(highest.leverage, 2)}, more than any other course.</p>`
+        : '<p class="impact-summary">No course can move your GPA by a letter step.</p>';
+    
+    elements.impactContent().innerHTML = `
+        ${summary}
+        <table class="details-table impact-table">
+            <thead>
+                <tr>
+                    <th>Course</th>
+                    <th>Credits</th>
+                    <th>Grade</th>
+                    <th>Share of Term GPA</th>
+                    <th>One Letter Up</th>
+                    <th>One Letter Down</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+    elements.impactWrapper().style.display = 'block';
+}
+
+/**
+ * Creates a row of the course details table.
+ * @param {Object} course - Processed course from computeTermGPA
+ * @param {string} semesterName - Optional semester shown under the course name
+ * @returns {string} HTML string
+ */
+function createDetailsRowHTML(course, semesterName = '') {
+    const rowClass = course.excluded ? 'excluded' : (course.wasCapped ? 'capped' : (course.replaced ? 'replaced' : ''));
+    let statusBadge = '';
+    
+    if (course.excluded) {
+        statusBadge = `<span class="status-badge excluded">${getCourseStatus(course.status).label}</span>`;
+    } else if (course.status !== 'graded') {
+        statusBadge = `<span class="status-badge capped">${course.status} counts as ${escapeHTML(course.letter)}</span>`;
+    } else if (course.wasCapped) {
+        statusBadge = `<span class="status-badge capped">Capped ${escapeHTML(course.letter)}</span>`;
+    } else {
+        statusBadge = '<span class="status-badge included">Included</span>';
+    }
+    
+    if (course.replacedAttempt) {
+        statusBadge += ` <span class="status-badge replaces">Replaces ${course.replacedAttempt.letter}</span>`;
+    }
+    
+    if (course.replaced) {
+        statusBadge += ' <span class="status-badge replaced">Replaced later</span>';
+    }
+    
+    const semesterNote = semesterName ? `<br><small>${escapeHTML(semesterName)}</small>` : '';
+    
+    return `
+        <tr class="${rowClass}">
+            <td>${escapeHTML(course.name)}${semesterNote}</td>
+            <td>${course.credits}</td>
+            <td>${course.excluded ? course.status : escapeHTML(course.letter)}${course.score !== null && course.status === 'graded' ? ` (${course.score})` : ''}</td>
+            <td>${course.excluded ? '-' : formatFraction(course.gradePoint, 2)}</td>
+            <td>${course.excluded ? '-' : formatFraction(course.qualityPoints, 2)}</td>
+            <td>${statusBadge}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Renders the results section for transcript mode.
+ * @param {Object} result - Result of computeTranscript
+ * @param {boolean} scroll - Whether to scroll to the results (live updates stay in place)
+ */
+function renderTranscriptResults(result, scroll = true) {
+    // Clear errors
+    document.querySelectorAll('.error-message').forEach(el => el.remove());
+    
+    const allCourses = result.semesters.flatMap(s => s.termResult.courses);
+    
+    // Update GPA display
+    elements.gpaValue().textContent = formatFraction(result.cgpa, 4);
+    elements.gpaLabel().textContent = 'Cumulative GPA';
+    
+    // Summary stats
+    let statsHTML = `
+        <div class="stat-card">
+            <div class="stat-value">${result.semesters.length}</div>
+            <div class="stat-label">Semesters</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${result.totalCredits}</div>
+            <div class="stat-label">Total Credits</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${formatFraction(result.totalQualityPoints, 2)}</div>
+            <div class="stat-label">Total Quality Points</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${result.attemptedCredits}</div>
+            <div class="stat-label">Attempted Credits</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${result.earnedCredits}</div>
+            <div class="stat-label">Earned Credits</div>
+        </div>
+    `;
+    
+    const excludedCount = allCourses.filter(c => c.excluded).length;
+    const cappedCount = allCourses.filter(c => c.wasCapped).length;
+    
+    if (excludedCount > 0) {
+        statsHTML += `
+            <div class="stat-card">
+                <div class="stat-value">${excludedCount}</div>
+                <div class="stat-label">Courses Outside GPA</div>
+            </div>
+        `;
+    }
+    
+    if (cappedCount > 0) {
+        statsHTML += `
+            <div class="stat-card">
+                <div class="stat-value">${cappedCount}</div>
+                <div class="stat-label">Capped at ${escapeHTML(getGradingScheme().repeatCap)}</div>
+            </div>
+        `;
+    }
+    
+    elements.summaryStats().innerHTML = statsHTML;
+    
+    // Calculation breakdown: each semester's totals feed the running CGPA
+    let breakdownHTML = '';
+    
+    result.semesters.forEach(semester => {
+        breakdownHTML += `
+            <div class="breakdown-line">
+                <span>${escapeHTML(semester.name)}: ${formatFraction(semester.termResult.totalQualityPoints, 2)} QP / ${semester.termResult.totalCredits} cr</span>
+                <span>Running: ${formatFraction(semester.totalQualityPoints, 2)} QP / ${semester.totalCredits} cr</span>
+            </div>
+        `;
+        
+        semester.termResult.courses.filter(c => c.replacedAttempt).forEach(course => {
+            const attempt = course.replacedAttempt;
+            breakdownHTML += `
+                <div class="breakdown-line replaced-line">
+                    <span>Replaced: ${escapeHTML(course.name)} earlier ${escapeHTML(attempt.letter)}, ${attempt.credits} cr × ${formatFraction(attempt.gradePoint, 2)} pts</span>
+                    <span>− ${formatFraction(attempt.qualityPoints, 2)} QP / − ${attempt.credits} cr</span>
+                </div>
+            `;
+        });
     });
     
-    elements.detailsBody().innerHTML = tableHTML;
+    breakdownHTML += `
+        <div class="breakdown-line">
+            <span><strong>CGPA</strong></span>
+            <span><strong>${formatFraction(result.cgpa, 4)}</strong></span>
+        </div>
+    `;
+    
+    elements.breakdownContent().innerHTML = breakdownHTML;
+    
+    // Academic standing: latest semester against the cumulative result
+    const latest = result.semesters[result.semesters.length - 1];
+    renderStanding(evaluateStanding({
+        termResult: latest ? latest.termResult : null,
+        cgpa: result.totalCredits > 0 ? result.cgpa : null,
+        scheme: getGradingScheme()
+    }));
+    
+    // Semester-by-semester table
+    elements.semesterTableBody().innerHTML = result.semesters.map(semester => `
+        <tr>
+            <td>${escapeHTML(semester.name)}</td>
+            <td>${semester.termResult.totalCredits}</td>
+            <td>${formatFraction(semester.termResult.totalQualityPoints, 2)}</td>
+            <td>${semester.termResult.totalCredits > 0 ? formatFraction(semester.termResult.gpa, 4) : '-'}</td>
+            <td>${semester.totalCredits}</td>
+            <td>${semester.totalCredits > 0 ? formatFraction(semester.cgpa, 4) : '-'}</td>
+        </tr>
+    `).join('');
+    elements.semesterTableWrapper().style.display = 'block';
+    elements.scenarioWrapper().style.display = 'none';
+    renderImpact(null, false);
+    renderCharts(getGPAHistory(result), computeGradeDistribution(result.semesters.map(s => s.termResult), getGradingScheme()));
+    
+    // Details table
+    elements.detailsBody().innerHTML = result.semesters
+        .flatMap(semester => semester.termResult.courses.map(course => createDetailsRowHTML(course, semester.name)))
+        .join('');
     
     // Show results
     elements.resultsSection().style.display = 'block';
-    elements.resultsSection().scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (scroll) {
+        elements.resultsSection().scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
 }
 
 /**
  * Main calculation function.
  */
 function calculate() {
-    // Collect and validate data
+    if (state.mode === 'transcript') {
+        calculateTranscript();
+        return;
+    }
+    
+    const result = collectTermResults();
+    if (result) {
+        renderResults(result);
+    }
+}
+
+/**
+ * Validates the current term's courses and computes their results, showing any errors.
+ * @returns {Object|null} Result for renderResults, or null if there were errors
+ */
+function collectTermResults() {
+    // Collect and validate data; input errors are shown in their rows
     const courses = collectCourseData();
-    const courseErrors = validateCourses(courses);
-    const cgpaErrors = validateCGPAInputs();
-    const allErrors = [...courseErrors, ...cgpaErrors];
+    if (!revealValidationErrors()) {
+        return null;
+    }
     
-    if (allErrors.length > 0) {
-        showErrors(allErrors);
-        return;
+    const courseErrors = validateCourses(courses, getGradingScheme());
+    if (courseErrors.length > 0) {
+        showErrors(courseErrors);
+        return null;
+    }
+    
+    const { result, error } = computeResults(courses);
+    if (error) {
+        showErrors([error]);
+        return null;
     }
     
-    // Check if all courses are excluded
+    return result;
+}
+
+/**
+ * Computes the term results of validated course data, and the new CGPA in CGPA mode.
+ * @param {Array} courses - Course data without input errors
+ * @returns {{ result: Object|null, error: string|null }} Result for renderResults, or why it cannot be calculated
+ */
+function computeResults(courses) {
+    // Check if all courses are outside the GPA
     const includedCourses = courses.filter(c => !c.excluded);
     if (includedCourses.length === 0) {
-        showErrors(['All courses are excluded. Cannot calculate GPA with no included courses.']);
-        return;
+        return { result: null, error: NO_INCLUDED_COURSES_ERROR };
     }
     
     // Calculate term GPA
-    const termResult = computeTermGPA(courses);
+    const termResult = computeTermGPA(courses, getGradingScheme());
     
     let result = { 
         termResult,
-        gpa: termResult.gpa  // Ensure gpa is available for Term GPA mode
+        gpa: termResult.gpa,  // Ensure gpa is available for Term GPA mode
+        scenarios: []
     };
     
     if (state.mode === 'cgpa') {
-        const prevCGPA = parseFloat(elements.prevCGPA().value) || 0;
-        const prevCredits = parseFloat(elements.prevCredits().value) || 0;
+        const prevCGPA = state.previous.cgpa || 0;
+        const prevCredits = state.previous.credits || 0;
+        
+        const [replacedError] = validateReplacedAttempts(termResult, { cgpa: prevCGPA, credits: prevCredits });
+        if (replacedError) {
+            return { result: null, error: replacedError };
+        }
         
         const cgpaResult = computeNewCGPA(
             prevCGPA,
             prevCredits,
             termResult.totalQualityPoints,
             termResult.totalCredits,
-            null  // Always auto-calculate from CGPA × Credits
+            null,  // Always auto-calculate from CGPA × Credits
+            { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
         );
         
         result = {
@@ -706,136 +1626,2686 @@ function calculate() {
         };
     }
     
-    renderResults(result);
+    const previous = state.mode === 'cgpa' ? { prevCGPA: result.prevCGPA, prevCredits: result.prevCredits } : null;
+    
+    if (hasScenarioGrades(courses)) {
+        result.scenarios = computeScenarios(courses, previous, getGradingScheme());
+    }
+    
+    result.impact = computeCourseImpact(courses, previous, getGradingScheme());
+    
+    return { result, error: null };
 }
 
 /**
- * Resets the calculator to initial state.
+ * Calculates term GPAs and the running CGPA for every transcript semester.
  */
-function resetCalculator() {
-    if (!confirm('Are you sure you want to reset? All data will be cleared.')) {
-        return;
+function calculateTranscript() {
+    const result = collectTranscriptResults();
+    if (result) {
+        renderTranscriptResults(result);
+    }
+}
+
+/**
+ * Validates every transcript semester and computes the transcript, showing any errors.
+ * @returns {Object|null} Result of computeTranscript, or null if there were errors
+ */
+function collectTranscriptResults() {
+    if (state.semesters.length === 0) {
+        showErrors(['Please add at least one semester.']);
+        return null;
     }
     
-    // Clear courses
-    elements.courseList().innerHTML = '';
-    elements.emptyMessage().style.display = 'block';
-    state.courseCounter = 0;
+    if (!revealValidationErrors()) {
+        return null;
+    }
     
-    // Clear CGPA inputs
-    elements.prevCGPA().value = '';
-    elements.prevCredits().value = '';
+    const semesters = state.semesters.map((semester, index) => ({
+        name: getSemesterLabel(semester, index),
+        courses: collectCourseData(semester.courses)
+    }));
     
-    // Hide results
-    elements.resultsSection().style.display = 'none';
-    document.querySelectorAll('.error-message').forEach(el => el.remove());
+    // Input errors are shown in their rows, so only empty semesters are left
+    const errors = semesters.flatMap(semester =>
+        validateCourses(semester.courses, getGradingScheme()).map(error => `${semester.name}: ${error}`)
+    );
+    
+    if (errors.length > 0) {
+        showErrors(errors);
+        return null;
+    }
+    
+    const result = computeTranscript(semesters, getGradingScheme());
+    
+    if (result.totalCredits === 0) {
+        showErrors([NO_INCLUDED_COURSES_ERROR]);
+        return null;
+    }
     
-    // Reset mode to term
-    document.querySelector('input[name="calcMode"][value="term"]').checked = true;
-    state.mode = 'term';
-    elements.previousSection().style.display = 'none';
+    return result;
 }
 
 /**
- * Exports course data to CSV.
+ * Replaces the calculator state with a snapshot and re-renders the form.
+ * @param {Object} snapshot - Normalized state snapshot
  */
-function exportCSV() {
-    const courses = collectCourseData();
-    if (courses.length === 0) {
-        alert('No courses to export. Please add some courses first.');
-        return;
-    }
+function applyState(snapshot) {
+    state.mode = snapshot.mode;
+    state.schemeId = getGradingScheme(snapshot.schemeId).id;  // Removed custom schemes fall back to the default
+    state.previous = { ...snapshot.previous };
+    state.courses = snapshot.courses.map(copyCourse);
+    state.courseCounter = snapshot.courseCounter;
+    state.semesters = snapshot.semesters.map(s => ({ ...s, courses: s.courses.map(copyCourse) }));
+    state.semesterCounter = snapshot.semesterCounter;
     
-    // Calculate to get quality points
-    const termResult = computeTermGPA(courses);
+    // Mode and previous record
+    document.querySelector(`input[name="calcMode"][value="${state.mode}"]`).checked = true;
+    updateModeSections();
+    renderSchemePicker();
+    elements.prevCGPA().value = state.previous.cgpa ?? '';
+    elements.prevCredits().value = state.previous.credits ?? '';
     
-    // Build CSV content
-    let csv = 'Course Name,Credit Hours,Score,Letter Grade,Grade Points,Quality Points,Excluded,Repeated,Status\n';
+    // Courses
+    elements.courseList().innerHTML = '';
+    state.courses.forEach(course => renderCourseRow(course));
     
-    termResult.courses.forEach(course => {
-        const status = course.excluded ? 'Excluded' : (course.wasCapped ? 'Capped at B+' : 'Included');
-        csv += `"${course.name}",${course.credits},${course.score ?? ''},${course.letter},${course.gradePoint.toFixed(2)},${course.qualityPoints.toFixed(2)},${course.excluded},${course.repeated},${status}\n`;
-    });
+    // Transcript semesters
+    elements.semesterList().innerHTML = '';
+    state.semesters.forEach(renderSemester);
+    updateCourseNumbers();
+    updateEmptyMessages();
+    updateAllCourseHints();
     
-    csv += `\nTotal Credits,${termResult.totalCredits}\n`;
-    csv += `Total Quality Points,${termResult.totalQualityPoints.toFixed(2)}\n`;
-    csv += `Term GPA,${termResult.gpa.toFixed(2)}\n`;
+    // A new form starts without flagged inputs
+    touchedInputs.clear();
+    handleFormChange();
     
-    if (state.mode === 'cgpa') {
-        const prevCGPA = parseFloat(elements.prevCGPA().value) || 0;
-        const prevCredits = parseFloat(elements.prevCredits().value) || 0;
-        const cgpaResult = computeNewCGPA(prevCGPA, prevCredits, termResult.totalQualityPoints, termResult.totalCredits);
-        
-        csv += `\nPrevious CGPA,${prevCGPA.toFixed(2)}\n`;
-        csv += `Previous Credits,${prevCredits}\n`;
-        csv += `New CGPA,${cgpaResult.cgpa.toFixed(2)}\n`;
+    // Hide results from the previous state
+    elements.resultsSection().style.display = 'none';
+    document.querySelectorAll('.error-message').forEach(el => el.remove());
+}
+
+/**
+ * Resets the calculator to initial state.
+ */
+function resetCalculator() {
+    if (!confirm('Are you sure you want to reset? All data will be cleared.')) {
+        return;
     }
     
-    // Create and trigger download
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    applyState(normalizeSnapshot({ courses: [] }));
+    saveState();
+    showUndoToast('Calculator reset.');
+}
+
+/**
+ * Triggers a download of text content as a file.
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} fileName - Download file name
+ */
+function downloadFile(content, type, fileName) {
+    const blob = new Blob([content], { type });
     const link = document.createElement('a');
-    const date = new Date().toISOString().split('T')[0];
     link.href = URL.createObjectURL(blob);
-    link.download = `gpa_calculation_${date}.csv`;
+    link.download = fileName;
     link.click();
     URL.revokeObjectURL(link.href);
 }
 
 /**
- * Handles mode change between Term GPA and CGPA.
+ * Reads the file chosen in a file input as text.
+ * @param {Event} event - change event from the file input
+ * @param {Function} onLoad - Called with the file's text
  */
-function handleModeChange(event) {
-    state.mode = event.target.value;
-    elements.previousSection().style.display = state.mode === 'cgpa' ? 'block' : 'none';
+function readSelectedFile(event, onLoad) {
+    const file = event.target.files[0];
+    event.target.value = '';  // Allow choosing the same file again
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => onLoad(reader.result);
+    reader.onerror = () => alert('Could not read the selected file.');
+    reader.readAsText(file);
 }
 
 /**
- * Toggles the grade reference table visibility.
+ * Triggers a download of CSV content.
+ * @param {string} csv - CSV content
+ * @param {string} prefix - File name prefix
  */
-function toggleReference() {
-    const content = elements.referenceContent();
-    const isVisible = content.style.display !== 'none';
-    content.style.display = isVisible ? 'none' : 'block';
-    elements.referenceToggle().textContent = isVisible ? '📋 View Grade Table' : '📋 Hide Grade Table';
+function downloadCSV(csv, prefix) {
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(csv, 'text/csv;charset=utf-8;', `${prefix}_${date}.csv`);
 }
 
-// ============================================
-// EVENT LISTENERS & INITIALIZATION
-// ============================================
-
-document.addEventListener('DOMContentLoaded', () => {
-    // Mode selection
-    elements.modeRadios().forEach(radio => {
-        radio.addEventListener('change', handleModeChange);
-    });
+/**
+ * Exports course data to CSV.
+ */
+function exportCSV() {
+    if (state.mode === 'transcript') {
+        exportTranscriptCSV();
+        return;
+    }
+    
+    const courses = collectCourseData();
+    if (courses.length === 0) {
+        alert('No courses to export. Please add some courses first.');
+        return;
+    }
+    
+    const termResult = computeTermGPA(courses, getGradingScheme());
+    const previous = state.mode === 'cgpa'
+        ? { cgpa: state.previous.cgpa || 0, credits: state.previous.credits || 0 }
+        : null;
+    
+    downloadCSV(createTermCSV(termResult, previous), 'gpa_calculation');
+}
+
+/**
+ * Exports every transcript semester to CSV, with a leading Semester column.
+ */
+function exportTranscriptCSV() {
+    const semesters = state.semesters.map((semester, index) => ({
+        name: getSemesterLabel(semester, index),
+        courses: collectCourseData(semester.courses)
+    }));
+    
+    if (semesters.every(s => s.courses.length === 0)) {
+        alert('No courses to export. Please add some courses first.');
+        return;
+    }
+    
+    const result = computeTranscript(semesters, getGradingScheme());
+    downloadCSV(createTranscriptCSV(result), 'gpa_transcript');
+}
+
+/**
+ * Turns a course file parsed by the engine into a state snapshot for the current scheme.
+ * Term files keep the current previous record.
+ * @param {Object} file - file from parseCourseCSV
+ * @returns {Object} State snapshot
+ */
+function createFileSnapshot(file) {
+    let courseCounter = 0;
+    const toCourse = ({ line, entry, ...course }) => ({ ...createCourse(++courseCounter), ...course });
+    
+    const courses = file.courses.map(toCourse);
+    const semesters = file.semesters.map((semester, index) => ({
+        id: index + 1,
+        name: semester.name,
+        courses: semester.courses.map(toCourse)
+    }));
+    
+    return normalizeSnapshot({
+        mode: file.mode,
+        schemeId: state.schemeId,
+        previous: file.mode === 'cgpa' ? file.previous : { ...state.previous },
+        courses,
+        courseCounter,
+        semesters,
+        semesterCounter: semesters.length
+    });
+}
+
+/**
+ * Imports an exported course CSV, replacing the current courses. Lines that cannot be
+ * read are listed, and the user decides whether to import the rest without them.
+ * @param {string} text - CSV content
+ */
+function importCSV(text) {
+    const { file, courseCount, errors } = parseCourseCSV(text, getGradingScheme());
+    const errorList = errors.map(e => `• ${e}`).join('\n');
+    
+    if (!file || courseCount === 0) {
+        alert(`Could not import the CSV file:\n\n${errorList || '• The file has no course rows.'}`);
+        return;
+    }
+    
+    if (errors.length > 0) {
+        const question = `${errors.length} line${errors.length === 1 ? '' : 's'} could not be read:\n\n${errorList}\n\nImport the other ${courseCount} course${courseCount === 1 ? '' : 's'} anyway?`;
+        if (!confirm(question)) return;
+    } else if (countSnapshotCourses(serializeState()) > 0 &&
+        !confirm(`Import ${courseCount} course${courseCount === 1 ? '' : 's'}? Your current courses will be replaced.`)) {
+        return;
+    }
+    
+    applyState(createFileSnapshot(file));
+    saveState();
+}
+
+/**
+ * Downloads the full calculator state and its grading scheme as versioned JSON.
+ */
+function exportJSON() {
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(JSON.stringify(createStateFile(), null, 2), 'application/json', `gpa_calculator_${date}.json`);
+}
+
+/**
+ * Imports a JSON export (any supported version), replacing the current state.
+ * A grading scheme that is not available yet is added to the imported schemes.
+ * @param {string} text - JSON content
+ */
+function importJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        alert('Could not import the file: it is not valid JSON.');
+        return;
+    }
+    
+    const { snapshot, scheme, error } = readStateFile(data);
+    if (error) {
+        alert(`Could not import the file: ${error}`);
+        return;
+    }
+    
+    if (countSnapshotCourses(serializeState()) > 0 &&
+        !confirm('Import this file? Your current courses will be replaced.')) {
+        return;
+    }
+    
+    if (scheme) {
+        snapshot.schemeId = resolveImportedScheme(scheme);
+    }
+    
+    applyState(snapshot);
+    saveState();
+}
+
+/**
+ * Shows the sections that belong to the current mode.
+ */
+function updateModeSections() {
+    const isTranscript = state.mode === 'transcript';
+    
+    elements.previousSection().style.display = state.mode === 'cgpa' ? 'block' : 'none';
+    elements.coursesSection().style.display = isTranscript ? 'none' : 'block';
+    elements.transcriptSection().style.display = isTranscript ? 'block' : 'none';
+    
+    // The solver works on the current term; CGPA targets need the previous record
+    elements.targetSection().style.display = isTranscript ? 'none' : 'block';
+    const cgpaOption = elements.targetType().querySelector('option[value="cgpa"]');
+    cgpaOption.disabled = state.mode !== 'cgpa';
+    if (cgpaOption.disabled) {
+        elements.targetType().value = 'term';
+    }
+}
+
+/**
+ * Handles mode change between Term GPA, CGPA and Transcript.
+ */
+function handleModeChange(event) {
+    state.mode = event.target.value;
+    updateModeSections();
+    handleFormChange();
+    saveState();
+}
+
+// ============================================
+// COURSE ORDER
+// ============================================
+
+/**
+ * Orders the course list can be sorted by. Blank names, credits and grades sort last.
+ */
+const COURSE_SORTS = [
+    {
+        key: 'name',
+        label: 'Name (A–Z)',
+        compare: (a, b) => {
+            const nameA = a.course.name.trim();
+            const nameB = b.course.name.trim();
+            if (!nameA || !nameB) return Boolean(nameB) - Boolean(nameA);
+            return nameA.localeCompare(nameB, undefined, { numeric: true, sensitivity: 'base' });
+        }
+    },
+    {
+        key: 'credits',
+        label: 'Credits (most first)',
+        compare: (a, b) => (b.course.credits ?? -1) - (a.course.credits ?? -1)
+    },
+    {
+        key: 'grade',
+        label: 'Grade (best first)',
+        compare: (a, b) => {
+            // Courses without a GPA grade (missing, W, P, ...) go after the graded ones
+            const gradedA = a.data.hasGrade && !a.data.excluded;
+            const gradedB = b.data.hasGrade && !b.data.excluded;
+            if (!gradedA || !gradedB) return gradedB - gradedA;
+            return compareFractions(b.data.gradePoint, a.data.gradePoint);
+        }
+    }
+];
+
+/**
+ * ID of the course row being dragged, or null.
+ */
+let draggedCourseId = null;
+
+/**
+ * Creates the options of a "Sort by" selector.
+ * @returns {string} HTML string
+ */
+function createSortOptionsHTML() {
+    return `<option value="">Sort by…</option>` +
+        COURSE_SORTS.map(sort => `<option value="${sort.key}">${sort.label}</option>`).join('');
+}
+
+/**
+ * Labels every course row with its position in its list ("Course #2").
+ */
+function updateCourseNumbers() {
+    [state.courses, ...state.semesters.map(s => s.courses)].forEach(courses => {
+        courses.forEach((course, index) => {
+            const label = document.querySelector(`[data-course-id="${course.id}"] .course-number`);
+            if (label) {
+                label.textContent = `Course #${index + 1}`;
+            }
+        });
+    });
+}
+
+/**
+ * Moves the rows of a course list to match its order in state, renumbers them and autosaves.
+ * @param {Array} courses - Course input array that was reordered
+ */
+function updateCourseOrder(courses) {
+    courses.forEach(course => {
+        const row = document.querySelector(`[data-course-id="${course.id}"]`);
+        row?.parentElement.appendChild(row);
+    });
+    
+    updateCourseNumbers();
+    handleFormChange();
+    saveState();
+}
+
+/**
+ * Moves a course to a new position within its list.
+ * @param {number|string} id - Course ID
+ * @param {number} index - New position in the list
+ */
+function placeCourse(id, index) {
+    const courses = findCourseCollection(id);
+    if (!courses) return;
+    
+    const from = courses.findIndex(c => c.id === Number(id));
+    const to = Math.max(0, Math.min(index, courses.length - 1));
+    if (from === to) return;
+    
+    courses.splice(to, 0, ...courses.splice(from, 1));
+    updateCourseOrder(courses);
+}
+
+/**
+ * Moves a course one or more places up (negative offset) or down its list.
+ * @param {number|string} id - Course ID
+ * @param {number} offset - Places to move
+ */
+function moveCourse(id, offset) {
+    const courses = findCourseCollection(id);
+    if (!courses) return;
+    
+    placeCourse(id, courses.findIndex(c => c.id === Number(id)) + offset);
+}
+
+/**
+ * Sorts a course list. The sort is stable, so equal courses keep their order.
+ * @param {string} key - Sort key (see COURSE_SORTS)
+ * @param {number|null} semesterId - Transcript semester to sort, or null for the current term
+ */
+function sortCourses(key, semesterId = null) {
+    const sort = COURSE_SORTS.find(s => s.key === key);
+    const semester = semesterId === null ? null : findSemester(semesterId);
+    const courses = semester ? semester.courses : state.courses;
+    if (!sort || courses.length < 2) return;
+    
+    const data = collectCourseData(courses);
+    const sorted = courses
+        .map((course, index) => ({ course, data: data[index] }))
+        .sort(sort.compare)
+        .map(entry => entry.course);
+    if (sorted.every((course, index) => course === courses[index])) return;
+    
+    courses.splice(0, courses.length, ...sorted);
+    updateCourseOrder(courses);
+}
+
+/**
+ * Handles the "Sort by" selector of the current term.
+ * @param {Event} event - change event
+ */
+function handleSortChange(event) {
+    sortCourses(event.target.value);
+    event.target.value = '';
+}
+
+/**
+ * Inserts a copy of a course right below it.
+ * @param {number} id - Course ID
+ */
+function duplicateCourse(id) {
+    const courses = findCourseCollection(id);
+    const row = document.querySelector(`[data-course-id="${id}"]`);
+    if (!courses || !row) return;
+    
+    state.courseCounter++;
+    const course = { ...copyCourse(findCourse(id)), id: state.courseCounter };
+    
+    courses.splice(courses.findIndex(c => c.id === id) + 1, 0, course);
+    renderCourseRow(course, 'afterend', row);
+    updateCourseNumbers();
+    updateCourseHints(courses);
+    handleFormChange();
+    saveState();
+    
+    document.getElementById(`courseName${course.id}`)?.focus();
+}
+
+/**
+ * Removes the drop markers shown while dragging a course.
+ */
+function clearDropMarkers() {
+    document.querySelectorAll('.course-row.drop-before, .course-row.drop-after').forEach(row => {
+        row.classList.remove('drop-before', 'drop-after');
+    });
+}
+
+/**
+ * Starts dragging a course row by its handle.
+ * @param {DragEvent} event - dragstart event from a course list
+ */
+function handleCourseDragStart(event) {
+    const row = event.target.closest?.('.drag-handle')?.closest('.course-row');
+    if (!row) return;
+    
+    draggedCourseId = Number(row.dataset.courseId);
+    row.classList.add('dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', row.dataset.courseId);
+    
+    const rect = row.getBoundingClientRect();
+    event.dataTransfer.setDragImage?.(row, event.clientX - rect.left, event.clientY - rect.top);
+}
+
+/**
+ * Marks where the dragged course would drop: above or below the row under the pointer.
+ * Courses only move within their own list.
+ * @param {DragEvent} event - dragover event from a course list
+ */
+function handleCourseDragOver(event) {
+    const row = event.target.closest?.('.course-row');
+    if (draggedCourseId === null || !row) return;
+    if (findCourseCollection(row.dataset.courseId) !== findCourseCollection(draggedCourseId)) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    
+    const rect = row.getBoundingClientRect();
+    const below = event.clientY > rect.top + rect.height / 2;
+    if (!row.classList.contains(below ? 'drop-after' : 'drop-before')) {
+        clearDropMarkers();
+        row.classList.add(below ? 'drop-after' : 'drop-before');
+    }
+}
+
+/**
+ * Drops the dragged course above or below the marked row.
+ * @param {DragEvent} event - drop event from a course list
+ */
+function handleCourseDrop(event) {
+    const row = event.target.closest?.('.course-row');
+    if (draggedCourseId === null || !row) return;
+    
+    const below = row.classList.contains('drop-after');
+    if (!below && !row.classList.contains('drop-before')) return;
+    event.preventDefault();
+    
+    const courses = findCourseCollection(draggedCourseId);
+    const from = courses.findIndex(c => c.id === draggedCourseId);
+    const target = courses.findIndex(c => c.id === Number(row.dataset.courseId)) + (below ? 1 : 0);
+    
+    // Taking the course out first shifts the rows after it up by one
+    placeCourse(draggedCourseId, from < target ? target - 1 : target);
+}
+
+/**
+ * Ends a course drag, dropped or not.
+ */
+function handleCourseDragEnd() {
+    draggedCourseId = null;
+    clearDropMarkers();
+    document.querySelectorAll('.course-row.dragging').forEach(row => row.classList.remove('dragging'));
+}
+
+/**
+ * Moves a course with the keyboard: ↑/↓ on its drag handle, or Alt + ↑/↓ anywhere in its row.
+ * @param {KeyboardEvent} event - keydown event from a course list
+ */
+function handleCourseKeydown(event) {
+    const row = event.target.closest?.('.course-row');
+    if (!row || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+    if (!event.altKey && !event.target.classList.contains('drag-handle')) return;
+    
+    event.preventDefault();
+    moveCourse(row.dataset.courseId, event.key === 'ArrowUp' ? -1 : 1);
+    
+    // Moving the row takes focus away from it in some browsers
+    event.target.focus();
+}
+
+// ============================================
+// PASTE COURSES
+// ============================================
+
+/**
+ * Column names shown in the paste preview, by column type (see PASTE_COLUMN_TYPES).
+ */
+const PASTE_COLUMN_LABELS = {
+    code: 'Code',
+    title: 'Title',
+    credits: 'Credits',
+    score: 'Score',
+    letter: 'Grade',
+    status: 'Status'
+};
+
+/**
+ * Transcript semester the paste dialog adds to (null for the current term).
+ */
+let pasteSemesterId = null;
+
+/**
+ * Courses read from the pasted text, ready to add.
+ */
+let pastedCourses = [];
+
+/**
+ * Opens the paste dialog for the current term or a transcript semester.
+ * @param {number|null} semesterId - Transcript semester, or null for the current term
+ */
+function openPasteDialog(semesterId = null) {
+    pasteSemesterId = semesterId;
+    elements.pasteInput().value = '';
+    renderPastePreview();
+    elements.pasteDialog().showModal();
+    elements.pasteInput().focus();
+}
+
+/**
+ * Parses the pasted text and shows the detected columns, the courses that will be added
+ * and the lines that cannot be read.
+ */
+function renderPastePreview() {
+    const { columns, rows, errors } = parseCoursePaste(elements.pasteInput().value, getGradingScheme(), courseCatalog);
+    pastedCourses = errors.length > 0 ? [] : rows.filter(row => row.course).map(row => row.course);
+    
+    const addBtn = elements.pasteAddBtn();
+    addBtn.disabled = pastedCourses.length === 0;
+    addBtn.textContent = pastedCourses.length > 0
+        ? `➕ Add ${pastedCourses.length} Course${pastedCourses.length === 1 ? '' : 's'}`
+        : '➕ Add Courses';
+    
+    if (rows.length === 0) {
+        elements.pastePreview().innerHTML = '';
+        return;
+    }
+    
+    const detected = columns
+        .map((type, index) => `Column ${index + 1}: ${type ? PASTE_COLUMN_LABELS[type] : 'ignored'}`)
+        .join(' · ');
+    const skipped = rows.filter(row => !row.course).length;
+    
+    const rowsHTML = rows.map(({ line, course, errors: rowErrors }) => course
+        ? `
+            <tr>
+                <td>${line}</td>
+                <td>${escapeHTML(course.name) || '<em>No name</em>'}</td>
+                <td>${course.credits ?? '-'}</td>
+                <td>${course.gradeType === 'numeric' ? course.score : (escapeHTML(course.letter) || '-')}</td>
+                <td>${course.status === 'graded' ? 'Graded' : course.status}</td>
+                <td></td>
+            </tr>
+        `
+        : `
+            <tr class="paste-error">
+                <td>${line}</td>
+                <td colspan="4">Skipped</td>
+                <td>${escapeHTML(rowErrors.join('; '))}</td>
+            </tr>
+        `).join('');
+    
+    elements.pastePreview().innerHTML = `
+        ${errors.map(error => `<p class="paste-problem">⚠️ ${escapeHTML(error)}</p>`).join('')}
+        <p class="paste-columns">${detected}</p>
+        ${skipped > 0 ? `<p class="paste-problem">⚠️ ${skipped} line${skipped === 1 ? '' : 's'} cannot be read and will be skipped.</p>` : ''}
+        <table class="details-table paste-table">
+            <thead>
+                <tr>
+                    <th>Line</th>
+                    <th>Course</th>
+                    <th>Credits</th>
+                    <th>Grade</th>
+                    <th>Status</th>
+                    <th>Problem</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Adds the pasted courses in their pasted order, replacing empty course rows, and closes
+ * the dialog.
+ */
+function addPastedCourses() {
+    if (pastedCourses.length === 0) return;
+    
+    const semester = pasteSemesterId === null ? null : findSemester(pasteSemesterId);
+    const courses = semester ? semester.courses : state.courses;
+    const container = getCourseListElement(semester ? semester.id : null);
+    
+    // Rows nothing was entered in yet (e.g. the first empty course) make way for the paste
+    const blank = courses.filter(c => !c.name.trim() && c.credits === null && !c.letter && c.score === null);
+    blank.forEach(course => {
+        courses.splice(courses.indexOf(course), 1);
+        document.querySelector(`[data-course-id="${course.id}"]`)?.remove();
+    });
+    
+    pastedCourses.forEach(pasted => {
+        state.courseCounter++;
+        const course = { ...createCourse(state.courseCounter), ...pasted };
+        courses.push(course);
+        renderCourseRow(course, 'beforeend', container);
+    });
+    
+    updateCourseNumbers();
+    updateEmptyMessages();
+    updateCourseHints(courses);
+    handleFormChange();
+    saveState();
+    elements.pasteDialog().close();
+}
+
+// ============================================
+// UNDO & REDO
+// ============================================
+
+/**
+ * Most undo steps kept; older ones are dropped.
+ */
+const HISTORY_LIMIT = 100;
+
+/**
+ * Edits typed into one input less than this many milliseconds apart form one undo step.
+ */
+const HISTORY_TYPING_MS = 1000;
+
+/**
+ * Undo history as state snapshots. `present` is the snapshot of the current state (null
+ * until startup has restored the saved work).
+ */
+const editHistory = {
+    undo: [],
+    redo: [],
+    present: null,
+    typingKey: null,
+    typedAt: 0
+};
+
+/**
+ * Timer that hides the undo toast.
+ */
+let undoToastTimer = null;
+
+/**
+ * Starts a new history at the current state.
+ */
+function resetHistory() {
+    editHistory.undo = [];
+    editHistory.redo = [];
+    editHistory.present = serializeState();
+    editHistory.typingKey = null;
+    updateHistoryButtons();
+}
+
+/**
+ * Records the current state as an undo step if it changed since the last step.
+ * @param {string|null} typingKey - Input being typed in; quick edits of one input are merged
+ */
+function recordHistory(typingKey = null) {
+    if (editHistory.present === null) return;
+    
+    const snapshot = serializeState();
+    if (JSON.stringify(snapshot) === JSON.stringify(editHistory.present)) return;
+    
+    const now = Date.now();
+    const merge = typingKey !== null && typingKey === editHistory.typingKey && now - editHistory.typedAt < HISTORY_TYPING_MS;
+    if (!merge) {
+        editHistory.undo.push(editHistory.present);
+        if (editHistory.undo.length > HISTORY_LIMIT) {
+            editHistory.undo.shift();
+        }
+    }
+    
+    editHistory.redo = [];
+    editHistory.present = snapshot;
+    editHistory.typingKey = typingKey;
+    editHistory.typedAt = now;
+    updateHistoryButtons();
+}
+
+/**
+ * Restores a snapshot from the history without recording it as a new step.
+ * The focused input keeps focus if it still exists.
+ * @param {Object} snapshot - State snapshot
+ */
+function restoreHistory(snapshot) {
+    const focusedId = document.activeElement?.id;
+    
+    editHistory.present = snapshot;
+    editHistory.typingKey = null;
+    applyState(snapshot);
+    writeStorage(STORAGE_KEYS.autosave, snapshot);
+    updateHistoryButtons();
+    hideUndoToast();
+    
+    if (focusedId) {
+        document.getElementById(focusedId)?.focus();
+    }
+}
+
+/**
+ * Undoes the last change.
+ */
+function undo() {
+    if (editHistory.undo.length === 0) return;
+    
+    editHistory.redo.push(editHistory.present);
+    restoreHistory(editHistory.undo.pop());
+}
+
+/**
+ * Redoes the last undone change.
+ */
+function redo() {
+    if (editHistory.redo.length === 0) return;
+    
+    editHistory.undo.push(editHistory.present);
+    restoreHistory(editHistory.redo.pop());
+}
+
+/**
+ * Enables the Undo and Redo buttons when there is something to undo or redo.
+ */
+function updateHistoryButtons() {
+    elements.undoBtn().disabled = editHistory.undo.length === 0;
+    elements.redoBtn().disabled = editHistory.redo.length === 0;
+}
+
+/**
+ * Shows a toast with an Undo button after a destructive action.
+ * @param {string} message - What was done
+ */
+function showUndoToast(message) {
+    elements.undoToastMessage().textContent = message;
+    elements.undoToast().style.display = 'flex';
+    
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(hideUndoToast, 6000);
+}
+
+/**
+ * Hides the undo toast.
+ */
+function hideUndoToast() {
+    clearTimeout(undoToastTimer);
+    elements.undoToast().style.display = 'none';
+}
+
+// ============================================
+// CHARTS
+// ============================================
+
+/**
+ * Size of the chart drawing area in SVG units; charts scale to their container.
+ */
+const CHART_SIZE = { width: 600, height: 240, top: 16, right: 16, bottom: 44, left: 44 };
+
+/**
+ * Shortens a chart axis label so neighbouring labels do not overlap.
+ * @param {string} label - Full label
+ * @param {number} maxLength - Longest label kept as is
+ * @returns {string} Label, cut with an ellipsis if needed
+ */
+function shortenChartLabel(label, maxLength = 12) {
+    return label.length > maxLength ? `${label.slice(0, maxLength - 1)}…` : label;
+}
+
+/**
+ * Creates the horizontal grid lines and y-axis labels of a chart.
+ * @param {number} max - Value at the top of the chart
+ * @param {number} steps - Number of grid intervals
+ * @param {Function} y - Maps a value to its y coordinate
+ * @returns {string} SVG markup
+ */
+function createChartGridSVG(max, steps, y) {
+    const { width, right, left } = CHART_SIZE;
+    let svg = '';
+    
+    for (let i = 0; i <= steps; i++) {
+        const value = (max / steps) * i;
+        svg += `
+            <line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="chart-axis" x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${Number.isInteger(value) ? value : value.toFixed(1)}</text>
+        `;
+    }
+    
+    return svg;
+}
+
+/**
+ * Creates an SVG line chart with one line per series. Missing values (null) break the line.
+ * @param {Array} labels - X-axis labels
+ * @param {Array} series - Array of { name, className, values } (numbers or null)
+ * @param {number} max - Value at the top of the chart
+ * @param {string} description - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function createLineChartSVG(labels, series, max, description) {
+    const { width, height, top, right, bottom, left } = CHART_SIZE;
+    const slot = (width - left - right) / labels.length;
+    const x = index => left + slot * (index + 0.5);
+    const y = value => top + (height - top - bottom) * (1 - value / max);
+    
+    const linesSVG = series.map(({ name, className, values }) => {
+        const segments = [];
+        values.forEach((value, index) => {
+            if (value === null) {
+                segments.push([]);
+            } else {
+                if (segments.length === 0) segments.push([]);
+                segments[segments.length - 1].push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+            }
+        });
+        
+        const paths = segments
+            .filter(points => points.length > 1)
+            .map(points => `<polyline class="chart-line ${className}" points="${points.join(' ')}"></polyline>`)
+            .join('');
+        const dots = values.map((value, index) => (value === null ? '' : `
+            <circle class="chart-dot ${className}" cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="4">
+                <title>${escapeHTML(labels[index])}: ${escapeHTML(name)} ${value.toFixed(2)}</title>
+            </circle>
+        `)).join('');
+        
+        return paths + dots;
+    }).join('');
+    
+    const labelsSVG = labels.map((label, index) => `
+        <text class="chart-axis" x="${x(index).toFixed(1)}" y="${height - bottom + 18}" text-anchor="middle">${escapeHTML(shortenChartLabel(label))}</text>
+    `).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHTML(description)}">
+            ${createChartGridSVG(max, 4, y)}
+            ${linesSVG}
+            ${labelsSVG}
+        </svg>
+    `;
+}
+
+/**
+ * Creates an SVG bar chart with the value above each bar.
+ * @param {Array} labels - X-axis labels
+ * @param {Array} values - Bar values (numbers)
+ * @param {string} className - Class of the bars
+ * @param {string} description - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function createBarChartSVG(labels, values, className, description) {
+    const { width, height, top, right, bottom, left } = CHART_SIZE;
+    const max = Math.max(4, Math.ceil(Math.max(...values) / 4) * 4);  // Four whole-number grid steps
+    const slot = (width - left - right) / labels.length;
+    const barWidth = Math.min(48, slot * 0.7);
+    const y = value => top + (height - top - bottom) * (1 - value / max);
+    
+    const barsSVG = values.map((value, index) => {
+        const x = left + slot * index + (slot - barWidth) / 2;
+        return `
+            <rect class="chart-bar ${className}" x="${x.toFixed(1)}" y="${y(value).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(y(0) - y(value)).toFixed(1)}">
+                <title>${escapeHTML(labels[index])}: ${value}</title>
+            </rect>
+            ${value > 0 ? `<text class="chart-value" x="${(x + barWidth / 2).toFixed(1)}" y="${(y(value) - 4).toFixed(1)}" text-anchor="middle">${value}</text>` : ''}
+            <text class="chart-axis" x="${(x + barWidth / 2).toFixed(1)}" y="${height - bottom + 18}" text-anchor="middle">${escapeHTML(shortenChartLabel(labels[index]))}</text>
+        `;
+    }).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHTML(description)}">
+            ${createChartGridSVG(max, 4, y)}
+            ${barsSVG}
+        </svg>
+    `;
+}
+
+/**
+ * Renders the results charts: term GPA and CGPA over the semesters and credits per term
+ * (transcript mode), and the grade distribution.
+ * @param {Array|null} history - Result of getGPAHistory, or null for a single term
+ * @param {Array} distribution - Result of computeGradeDistribution
+ */
+function renderCharts(history, distribution) {
+    const maxPoint = fractionToNumber(getMaxGradePoint(getGradingScheme()));
+    const toNumber = value => (value === null ? null : fractionToNumber(value));
+    let chartsHTML = '';
+    
+    if (history) {
+        const labels = history.map(h => h.name);
+        
+        chartsHTML += `
+            <figure class="chart-figure">
+                <figcaption>GPA over semesters</figcaption>
+                ${createLineChartSVG(labels, [
+                    { name: 'Term GPA', className: 'term', values: history.map(h => toNumber(h.termGPA)) },
+                    { name: 'CGPA', className: 'cumulative', values: history.map(h => toNumber(h.cgpa)) }
+                ], maxPoint, `Term GPA and CGPA for ${history.length} semester${history.length === 1 ? '' : 's'}`)}
+                <div class="chart-legend">
+                    <span class="chart-key term">Term GPA</span>
+                    <span class="chart-key cumulative">CGPA</span>
+                </div>
+            </figure>
+            <figure class="chart-figure">
+                <figcaption>Credits per term</figcaption>
+                ${createBarChartSVG(labels, history.map(h => h.credits), 'credits', 'Credits counted in the GPA per semester')}
+            </figure>
+        `;
+    }
+    
+    const graded = distribution.reduce((sum, d) => sum + d.count, 0);
+    if (graded > 0) {
+        chartsHTML += `
+            <figure class="chart-figure">
+                <figcaption>Grade distribution (${graded} course${graded === 1 ? '' : 's'})</figcaption>
+                ${createBarChartSVG(distribution.map(d => d.letter), distribution.map(d => d.count), 'grades', 'Number of courses per letter grade')}
+            </figure>
+        `;
+    }
+    
+    elements.chartsContent().innerHTML = chartsHTML;
+    elements.chartsWrapper().style.display = chartsHTML ? 'block' : 'none';
+}
+
+// ============================================
+// LIVE VALIDATION
+// ============================================
+
+/**
+ * IDs of the inputs the user has changed. Their errors show as the user types; errors in
+ * untouched inputs wait for Calculate, so a new empty row is not flagged straight away.
+ */
+const touchedInputs = new Set();
+
+/**
+ * Returns the input of a course row that a validation field refers to.
+ * @param {Object} course - Course input object
+ * @param {string} field - Field from validateCourseFields
+ * @returns {HTMLElement|null} Input or select element
+ */
+function getCourseFieldInput(course, field) {
+    const id = course.id;
+    const inputIds = {
+        credits: `courseCredits${id}`,
+        grade: course.gradeType === 'numeric' ? `courseScore${id}` : `courseLetter${id}`,
+        previousCredits: `coursePrevCredits${id}`,
+        previousLetter: `coursePrevLetter${id}`
+    };
+    
+    return document.getElementById(inputIds[field] ?? `courseScenario-${field.replace('scenario-', '')}${id}`);
+}
+
+/**
+ * Marks the inputs of a row or section with their errors: aria-invalid, the error border
+ * and a message under the input. Only errors in touched inputs are shown.
+ * @param {HTMLElement} container - Course row or section holding the inputs
+ * @param {Array} errors - Array of { inputs, message }
+ */
+function markFieldErrors(container, errors) {
+    container.querySelectorAll('.field-error').forEach(el => el.remove());
+    container.querySelectorAll('[aria-invalid]').forEach(input => {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+        input.classList.remove('input-error');
+    });
+    
+    errors.forEach(({ inputs, message }) => {
+        if (!inputs.some(input => touchedInputs.has(input.id))) return;
+        
+        const [first] = inputs;
+        const messageId = `${first.id}Error`;
+        const existing = document.getElementById(messageId);
+        
+        if (existing) {
+            existing.textContent += ` ${message}`;
+        } else {
+            first.closest('.input-group').insertAdjacentHTML('beforeend',
+                `<small class="field-error" id="${messageId}">${escapeHTML(message)}</small>`);
+        }
+        
+        inputs.forEach(input => {
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', messageId);
+            input.classList.add('input-error');
+            input.closest('details')?.setAttribute('open', '');  // What-if grades
+        });
+    });
+}
+
+/**
+ * Validates the previous record and the courses of the current mode as the user types,
+ * marks the touched inputs with their errors and lists what needs fixing next to Calculate.
+ * @returns {Array} Every invalid input in form order, touched or not
+ */
+function updateValidation() {
+    const scheme = getGradingScheme();
+    const invalidInputs = [];
+    const problems = [];
+    
+    const previousErrors = state.mode === 'cgpa'
+        ? validatePreviousFields(state.previous, scheme).map(({ fields, message }) => ({
+            inputs: fields.map(field => (field === 'cgpa' ? elements.prevCGPA() : elements.prevCredits())),
+            message
+        }))
+        : [];
+    markFieldErrors(elements.previousSection(), previousErrors);
+    if (previousErrors.length > 0) {
+        problems.push('the previous record');
+        previousErrors.forEach(error => invalidInputs.push(...error.inputs));
+    }
+    
+    const groups = state.mode === 'transcript'
+        ? state.semesters.map((semester, index) => ({ label: getSemesterLabel(semester, index), courses: semester.courses }))
+        : [{ label: null, courses: state.courses }];
+    
+    groups.forEach(({ label, courses }) => {
+        if (courses.length === 0 && label !== null) {
+            problems.push(`${label} (no courses)`);
+        }
+        
+        collectCourseData(courses).forEach((data, index) => {
+            const course = courses[index];
+            const row = document.querySelector(`[data-course-id="${course.id}"]`);
+            if (!row) return;
+            
+            const errors = validateCourseFields(data, scheme)
+                .map(({ fields, message }) => ({
+                    inputs: fields.map(field => getCourseFieldInput(course, field)).filter(Boolean),
+                    message
+                }))
+                .filter(error => error.inputs.length > 0);
+            
+            markFieldErrors(row, errors);
+            if (errors.length > 0) {
+                problems.push(`Course #${index + 1}`);
+                errors.forEach(error => invalidInputs.push(...error.inputs));
+            }
+        });
+    });
+    
+    renderCalculateHint(problems);
+    return [...new Set(invalidInputs)];
+}
+
+/**
+ * Annotates the Calculate button with what has to be fixed before it can calculate.
+ * @param {Array} problems - Labels of the invalid parts of the form ("Course #3")
+ */
+function renderCalculateHint(problems) {
+    const hint = elements.calculateHint();
+    const list = problems.length > 1
+        ? `${problems.slice(0, -1).join(', ')} and ${problems[problems.length - 1]}`
+        : problems[0];
+    
+    hint.textContent = problems.length > 0 ? `⚠️ Fix ${list} to calculate.` : '';
+    hint.style.display = problems.length > 0 ? 'block' : 'none';
+    elements.calculateBtn().classList.toggle('has-errors', problems.length > 0);
+}
+
+/**
+ * Shows the errors of every input, touched or not, and focuses the first invalid one.
+ * Called by Calculate, which stops when the form has input errors.
+ * @returns {boolean} True if no input has an error
+ */
+function revealValidationErrors() {
+    const invalidInputs = updateValidation();
+    if (invalidInputs.length === 0) return true;
+    
+    invalidInputs.forEach(input => touchedInputs.add(input.id));
+    updateValidation();
+    
+    // Results and errors from the last calculation no longer apply
+    showErrors([]);
+    elements.resultsSection().style.display = 'none';
+    invalidInputs[0].focus();
+    return false;
+}
+
+/**
+ * Re-checks the form after an edit: inline errors, then the live results when they are on.
+ */
+function handleFormChange() {
+    updateValidation();
+    updateLiveResults();
+}
+
+// ============================================
+// LIVE RESULTS
+// ============================================
+
+/**
+ * Splits course inputs into course data ready to calculate and rows that are still
+ * being filled in (pending).
+ * @param {Array} courseInputs - Course input objects
+ * @returns {{ complete: Array, pending: Array }} Course data and the pending course inputs
+ */
+function splitPendingCourses(courseInputs) {
+    const scheme = getGradingScheme();
+    const complete = [];
+    const pending = [];
+    
+    collectCourseData(courseInputs).forEach((course, index) => {
+        if (validateCourseFields(course, scheme).length === 0) {
+            complete.push(course);
+        } else {
+            pending.push(courseInputs[index]);
+        }
+    });
+    
+    return { complete, pending };
+}
+
+/**
+ * Recomputes the results from the complete rows after every edit while live results are
+ * on: updates the sticky summary, marks pending rows, and refreshes the results section
+ * in place if it is open.
+ */
+function updateLiveResults() {
+    document.querySelectorAll('.course-row.pending').forEach(row => row.classList.remove('pending'));
+    elements.liveSummary().style.display = liveResults ? 'flex' : 'none';
+    if (!liveResults) return;
+    
+    const isTranscript = state.mode === 'transcript';
+    const groups = isTranscript
+        ? state.semesters.map((semester, index) => ({ name: getSemesterLabel(semester, index), ...splitPendingCourses(semester.courses) }))
+        : [{ name: null, ...splitPendingCourses(state.courses) }];
+    const pending = groups.flatMap(group => group.pending);
+    
+    pending.forEach(course => {
+        document.querySelector(`[data-course-id="${course.id}"]`)?.classList.add('pending');
+    });
+    
+    let result = null;
+    let error = null;
+    
+    if (isTranscript) {
+        const semesters = groups
+            .filter(group => group.complete.length > 0)
+            .map(group => ({ name: group.name, courses: group.complete }));
+        result = semesters.length > 0 ? computeTranscript(semesters, getGradingScheme()) : null;
+        if (result?.totalCredits === 0) {
+            result = null;
+            error = NO_INCLUDED_COURSES_ERROR;
+        }
+    } else if (groups[0].complete.length > 0) {
+        ({ result, error } = computeResults(groups[0].complete));
+    }
+    
+    // Without a valid previous record only the term figures are known
+    const previousMissing = state.mode === 'cgpa' && validatePreviousFields(state.previous, getGradingScheme()).length > 0;
+    if (previousMissing && groups[0].complete.length > 0) {
+        const termResult = computeTermGPA(groups[0].complete, getGradingScheme());
+        result = { termResult, gpa: termResult.gpa };
+        error = 'Enter your previous record to see the new CGPA.';
+    }
+    
+    renderLiveSummary(result, pending.length, error);
+    
+    // Keep an open results section in step with the form
+    if (elements.resultsSection().style.display !== 'none') {
+        if (!result || error) {
+            elements.resultsSection().style.display = 'none';
+        } else if (isTranscript) {
+            renderTranscriptResults(result, false);
+        } else {
+            renderResults(result, false);
+        }
+    }
+}
+
+/**
+ * Renders the sticky live summary: the GPA figures of the complete rows and how many
+ * rows are pending.
+ * @param {Object|null} result - Result of computeResults or computeTranscript (term figures only without a previous record), or null
+ * @param {number} pendingCount - Number of rows still being filled in
+ * @param {string|null} error - Why there is no result, if known
+ */
+function renderLiveSummary(result, pendingCount, error) {
+    const stat = (label, value) => `
+        <div class="live-stat">
+            <span class="live-stat-value">${value}</span>
+            <span class="live-stat-label">${label}</span>
+        </div>
+    `;
+    
+    let statsHTML = '';
+    if (result && state.mode === 'transcript') {
+        const latest = result.semesters[result.semesters.length - 1];
+        statsHTML = stat('CGPA', formatFraction(result.cgpa, 2)) +
+            stat(`${escapeHTML(latest.name)} GPA`, formatFraction(latest.termResult.gpa, 2)) +
+            stat('Total Credits', result.totalCredits);
+    } else if (result) {
+        statsHTML = stat('Term GPA', formatFraction(result.gpa, 2)) +
+            stat('Term Credits', result.termResult.totalCredits) +
+            (result.cgpa !== undefined ? stat('New CGPA', formatFraction(result.cgpa, 2)) + stat('Total Credits', result.totalCredits) : '');
+    } else {
+        statsHTML = stat(state.mode === 'transcript' ? 'CGPA' : 'Term GPA', '–');
+    }
+    
+    const notes = [
+        error,
+        pendingCount > 0 ? `${pendingCount} pending course${pendingCount === 1 ? '' : 's'} not counted yet` : ''
+    ].filter(Boolean);
+    
+    elements.liveSummary().innerHTML = `
+        <div class="live-stats">${statsHTML}</div>
+        ${notes.map(note => `<small class="live-note">${escapeHTML(note)}</small>`).join('')}
+    `;
+}
+
+/**
+ * Turns live results on or off and remembers the choice.
+ * @param {Event} event - change event from the live results checkbox
+ */
+function handleLiveResultsToggle(event) {
+    liveResults = event.target.checked;
+    writeStorage(STORAGE_KEYS.liveResults, liveResults);
+    updateLiveResults();
+}
+
+// ============================================
+// TRANSCRIPT REPORT
+// ============================================
+
+/**
+ * Standing rules listed under each semester of the report. Graduation honors depend on
+ * the final CGPA, so they are listed once in the summary.
+ */
+const REPORT_TERM_STANDING_KEYS = ['probation', 'good-standing', 'warning', 'deans-list', 'deans-list-load'];
+
+/**
+ * Returns the semesters of the report for the current mode: every transcript semester,
+ * or the current term (with the new CGPA in CGPA mode).
+ * @param {Object} result - Result of computeTranscript (Transcript mode) or computeResults
+ * @returns {Array} Array of { name, termResult, cumulative }; cumulative holds totalCredits, totalQualityPoints and cgpa, or is null in Term GPA mode
+ */
+function getReportSemesters(result) {
+    if (state.mode === 'transcript') {
+        return result.semesters.map(semester => ({
+            name: semester.name,
+            termResult: semester.termResult,
+            cumulative: semester
+        }));
+    }
+    
+    return [{
+        name: 'Current Term',
+        termResult: result.termResult,
+        cumulative: state.mode === 'cgpa' ? result : null
+    }];
+}
+
+/**
+ * Describes how a course counts on the report, e.g. "Withdrawn" or "Repeated, capped at B+".
+ * @param {Object} course - Processed course from computeTermGPA
+ * @returns {string} Plain-text note (empty for an ordinary graded course)
+ */
+function getReportCourseNote(course) {
+    const notes = [];
+    
+    if (course.excluded) {
+        notes.push(`${getCourseStatus(course.status).label} (not in GPA)`);
+    } else if (course.status !== 'graded') {
+        notes.push(`${course.status} counts as ${course.letter}`);
+    } else if (course.wasCapped) {
+        notes.push(`Repeated, capped at ${course.letter}`);
+    }
+    
+    if (course.replacedAttempt) {
+        notes.push(`Replaces earlier ${course.replacedAttempt.letter}`);
+    }
+    if (course.replaced) {
+        notes.push('Replaced by a later attempt');
+    }
+    
+    return notes.join('; ');
+}
+
+/**
+ * Creates one semester of the report: its course table, term and cumulative GPA lines,
+ * and academic standing notes.
+ * @param {Object} semester - Entry of getReportSemesters
+ * @param {Object} scheme - Grading scheme
+ * @returns {string} HTML string
+ */
+function createReportSemesterHTML({ name, termResult, cumulative }, scheme) {
+    const rowsHTML = termResult.courses.map(course => `
+        <tr class="${course.excluded || course.replaced ? 'report-muted' : ''}">
+            <td>${escapeHTML(course.name)}</td>
+            <td>${course.credits}</td>
+            <td>${course.excluded ? course.status : escapeHTML(course.letter)}${course.score !== null && course.status === 'graded' ? ` (${course.score})` : ''}</td>
+            <td>${course.excluded ? '-' : formatFraction(course.gradePoint, 2)}</td>
+            <td>${course.excluded ? '-' : formatFraction(course.qualityPoints, 2)}</td>
+            <td>${escapeHTML(getReportCourseNote(course))}</td>
+        </tr>
+    `).join('');
+    
+    const hasTerm = termResult.totalCredits > 0;
+    const hasCumulative = cumulative !== null && cumulative.totalCredits > 0;
+    const standing = evaluateStanding({
+        termResult,
+        cgpa: hasCumulative ? cumulative.cgpa : null,
+        scheme
+    }).filter(item => REPORT_TERM_STANDING_KEYS.includes(item.key));
+    
+    return `
+        <section class="report-semester">
+            <h2>${escapeHTML(name)}</h2>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Course</th>
+                        <th>Credits</th>
+                        <th>Grade</th>
+                        <th>Points</th>
+                        <th>QP</th>
+                        <th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+            <dl class="report-totals">
+                <div>
+                    <dt>Term</dt>
+                    <dd>
+                        Attempted ${termResult.attemptedCredits} cr · Earned ${termResult.earnedCredits} cr ·
+                        ${termResult.totalCredits} GPA cr · ${formatFraction(termResult.totalQualityPoints, 2)} QP ·
+                        <strong>Term GPA ${hasTerm ? formatFraction(termResult.gpa, 4) : '-'}</strong>
+                    </dd>
+                </div>
+                ${cumulative ? `
+                    <div>
+                        <dt>Cumulative</dt>
+                        <dd>
+                            ${cumulative.totalCredits} GPA cr · ${formatFraction(cumulative.totalQualityPoints, 2)} QP ·
+                            <strong>CGPA ${hasCumulative ? formatFraction(cumulative.cgpa, 4) : '-'}</strong>
+                        </dd>
+                    </div>
+                ` : ''}
+            </dl>
+            ${standing.length > 0 ? `
+                <ul class="report-standing">
+                    ${standing.map(item => `<li><strong>${escapeHTML(item.title)}:</strong> ${escapeHTML(item.explanation)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </section>
+    `;
+}
+
+/**
+ * Creates the grading scheme key printed at the end of the report.
+ * @param {Object} scheme - Grading scheme
+ * @returns {string} HTML string
+ */
+function createReportSchemeHTML(scheme) {
+    const excluded = scheme.excludedStatuses.length > 0 ? scheme.excludedStatuses.join(', ') : 'none';
+    
+    return `
+        <section class="report-scheme">
+            <h2>Grading Scheme: ${escapeHTML(scheme.name)}</h2>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Grade</th>
+                        <th>Points</th>
+                        <th>Score</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${scheme.grades.map((grade, index) => `
+                        <tr>
+                            <td>${escapeHTML(grade.letter)}</td>
+                            <td>${formatFraction(grade.point, 2)}</td>
+                            <td>${formatScoreRange(scheme, index)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p>
+                GPA = quality points (credits × points) ÷ GPA credits.
+                Repeated courses are capped at ${scheme.repeatCap ? escapeHTML(scheme.repeatCap) : 'no grade (no cap)'}.
+                Statuses left out of the GPA: ${escapeHTML(excluded)}.
+                Probation applies below a CGPA of ${formatFraction(scheme.standing.probationCGPABelow, 2)}.
+            </p>
+        </section>
+    `;
+}
+
+/**
+ * Renders the transcript report for a calculation result.
+ * @param {Object} result - Result of computeTranscript (Transcript mode) or computeResults
+ */
+function renderReport(result) {
+    const scheme = getGradingScheme();
+    const semesters = getReportSemesters(result);
+    const final = semesters[semesters.length - 1];
+    const cumulative = final.cumulative;
+    let bodyHTML = '';
+    
+    if (state.mode === 'cgpa') {
+        bodyHTML += `
+            <section class="report-semester">
+                <h2>Previous Record</h2>
+                <dl class="report-totals">
+                    <div>
+                        <dt>Before this term</dt>
+                        <dd>${result.prevCredits} GPA cr · ${formatFraction(result.prevQualityPoints, 2)} QP · <strong>CGPA ${formatFraction(result.prevCGPA, 2)}</strong></dd>
+                    </div>
+                </dl>
+            </section>
+        `;
+    }
+    
+    bodyHTML += semesters.map(semester => createReportSemesterHTML(semester, scheme)).join('');
+    
+    // Summary: the final CGPA (or term GPA) and its graduation honors band
+    const honors = cumulative
+        ? evaluateStanding({ termResult: null, cgpa: cumulative.cgpa, scheme }).find(item => item.key === 'honors')
+        : null;
+    const totals = cumulative ?? { ...final.termResult, cgpa: final.termResult.gpa };
+    
+    bodyHTML += `
+        <section class="report-summary">
+            <h2>Summary</h2>
+            <dl class="report-totals">
+                ${state.mode === 'transcript' ? `
+                    <div>
+                        <dt>Credits</dt>
+                        <dd>Attempted ${result.attemptedCredits} cr · Earned ${result.earnedCredits} cr</dd>
+                    </div>
+                ` : ''}
+                <div>
+                    <dt>${cumulative ? 'Cumulative GPA' : 'Term GPA'}</dt>
+                    <dd>${totals.totalCredits} GPA cr · ${formatFraction(totals.totalQualityPoints, 2)} QP · <strong>${formatFraction(totals.cgpa, 4)}</strong></dd>
+                </div>
+                ${honors ? `
+                    <div>
+                        <dt>Honors</dt>
+                        <dd>${escapeHTML(honors.title)}: ${escapeHTML(honors.explanation)}</dd>
+                    </div>
+                ` : ''}
+            </dl>
+        </section>
+    `;
+    
+    bodyHTML += createReportSchemeHTML(scheme);
+    
+    elements.reportBody().innerHTML = bodyHTML;
+    elements.reportSchemeName().textContent = scheme.name;
+    elements.reportDate().textContent = new Date().toISOString().split('T')[0];
+    updateReportStudent();
+}
+
+/**
+ * Copies the student name and ID fields into the report header.
+ */
+function updateReportStudent() {
+    elements.reportStudentName().textContent = elements.studentName().value.trim() || '—';
+    elements.reportStudentId().textContent = elements.studentId().value.trim() || '—';
+}
+
+/**
+ * Saves the student name and ID and updates the report header.
+ */
+function handleStudentInfoInput() {
+    writeStorage(STORAGE_KEYS.student, {
+        name: elements.studentName().value,
+        id: elements.studentId().value
+    });
+    updateReportStudent();
+}
+
+/**
+ * Calculates the current mode's results and opens them as a printable transcript report.
+ * Input errors are shown on the form instead.
+ */
+function openReport() {
+    const result = state.mode === 'transcript' ? collectTranscriptResults() : collectTermResults();
+    if (!result) return;
+    
+    renderReport(result);
+    document.body.classList.add('report-open');
+    elements.reportView().style.display = 'block';
+    window.scrollTo(0, 0);
+    elements.studentName().focus();
+}
+
+/**
+ * Closes the transcript report and returns to the calculator.
+ */
+function closeReport() {
+    document.body.classList.remove('report-open');
+    elements.reportView().style.display = 'none';
+    elements.reportBtn().focus();
+}
+
+// ============================================
+// GRADING SCHEME
+// ============================================
+
+/**
+ * Renders the grading scheme selector and the grade reference table.
+ */
+function renderSchemePicker() {
+    const scheme = getGradingScheme();
+    const createOption = s => `<option value="${escapeHTML(s.id)}">${escapeHTML(s.name)}</option>`;
+    
+    elements.schemeSelect().innerHTML = `
+        <optgroup label="Built-in">${BUILT_IN_SCHEMES.map(createOption).join('')}</optgroup>
+        ${customSchemes.length > 0 ? `<optgroup label="Imported">${customSchemes.map(createOption).join('')}</optgroup>` : ''}
+    `;
+    elements.schemeSelect().value = scheme.id;
+    elements.removeSchemeBtn().disabled = Boolean(scheme.builtIn);
+    
+    // GPAs cannot exceed the scheme's top grade point
+    const maxPoint = formatFraction(getMaxGradePoint(scheme), 2);
+    elements.prevCGPA().max = maxPoint;
+    elements.targetValue().max = maxPoint;
+    elements.auditTarget().max = maxPoint;
+    
+    renderGradeTable(scheme);
+}
+
+/**
+ * Renders the grade reference table for a grading scheme.
+ * @param {Object} scheme - Grading scheme
+ */
+function renderGradeTable(scheme) {
+    elements.gradeTableBody().innerHTML = scheme.grades.map((grade, index) => `
+        <tr>
+            <td>${formatScoreRange(scheme, index)}</td>
+            <td>${escapeHTML(grade.letter)}</td>
+            <td>${formatFraction(grade.point, 2)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Formats the numeric scores that earn a grade of a scheme, e.g. "85-89".
+ * @param {Object} scheme - Grading scheme
+ * @param {number} index - Position of the grade in the scheme
+ * @returns {string} HTML-safe score range
+ */
+function formatScoreRange(scheme, index) {
+    const grade = scheme.grades[index];
+    const upper = index === 0 ? null : scheme.grades[index - 1].minScore;
+    
+    if (upper === null) {
+        return `${grade.minScore}-100`;
+    }
+    return Number.isInteger(upper) && Number.isInteger(grade.minScore)
+        ? `${grade.minScore}-${upper - 1}`
+        : `${grade.minScore} to &lt;${upper}`;
+}
+
+/**
+ * Switches to a grading scheme and re-renders the form with its grades.
+ * @param {string} id - Scheme ID
+ */
+function selectGradingScheme(id) {
+    state.schemeId = getGradingScheme(id).id;
+    applyState(serializeState());
+    saveState();
+}
+
+/**
+ * Handles a change of the grading scheme selector.
+ * @param {Event} event - change event
+ */
+function handleSchemeChange(event) {
+    selectGradingScheme(event.target.value);
+}
+
+/**
+ * Imports a grading scheme from JSON, replacing an imported scheme with the same name,
+ * and selects it.
+ * @param {string} text - JSON scheme definition
+ */
+function importGradingScheme(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        alert('Could not import the grading scheme: the file is not valid JSON.');
+        return;
+    }
+    
+    const { scheme, errors } = normalizeGradingScheme(data);
+    if (!scheme) {
+        alert(`Could not import the grading scheme:\n\n• ${errors.join('\n• ')}`);
+        return;
+    }
+    
+    const existing = customSchemes.find(s => s.name.toLowerCase() === scheme.name.toLowerCase());
+    if (existing && !confirm(`A grading scheme named "${existing.name}" already exists. Replace it?`)) {
+        return;
+    }
+    
+    scheme.id = existing ? existing.id : `custom-${createSessionId()}`;
+    customSchemes = existing
+        ? customSchemes.map(s => (s === existing ? scheme : s))
+        : [...customSchemes, scheme];
+    
+    writeCustomSchemes();
+    selectGradingScheme(scheme.id);
+}
+
+/**
+ * Finds an available scheme with the same definition as an imported one, or adds it to
+ * the imported schemes (renamed if its name is taken).
+ * @param {Object} scheme - Normalized grading scheme from a file
+ * @returns {string} ID of the matching or added scheme
+ */
+function resolveImportedScheme(scheme) {
+    const definition = s => JSON.stringify({ ...serializeGradingScheme(s), id: '', name: '' });
+    const match = getGradingSchemes().find(s => definition(s) === definition(scheme));
+    if (match) return match.id;
+    
+    const isTaken = name => getGradingSchemes().some(s => s.name.toLowerCase() === name.toLowerCase());
+    let name = scheme.name;
+    for (let copy = 2; isTaken(name); copy++) {
+        name = `${scheme.name} (${copy})`;
+    }
+    
+    const id = `custom-${createSessionId()}`;
+    customSchemes = [...customSchemes, { ...scheme, id, name }];
+    writeCustomSchemes();
+    return id;
+}
+
+/**
+ * Downloads the selected grading scheme as JSON, e.g. as a template for a custom scheme.
+ */
+function exportGradingScheme() {
+    const scheme = getGradingScheme();
+    const { id, ...definition } = serializeGradingScheme(scheme);
+    const slug = scheme.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    
+    downloadFile(JSON.stringify(definition, null, 2), 'application/json', `grading_scheme_${slug}.json`);
+}
+
+/**
+ * Removes the selected imported grading scheme and switches back to the default.
+ */
+function removeGradingScheme() {
+    const scheme = getGradingScheme();
+    if (scheme.builtIn) return;
+    
+    if (!confirm(`Remove the grading scheme "${scheme.name}"? Sessions that use it will switch to ${BUILT_IN_SCHEMES[0].name}.`)) {
+        return;
+    }
+    
+    customSchemes = customSchemes.filter(s => s.id !== scheme.id);
+    writeCustomSchemes();
+    selectGradingScheme(BUILT_IN_SCHEMES[0].id);
+}
+
+// ============================================
+// COURSE CATALOG
+// ============================================
+
+/**
+ * Renders the catalog summary and the autocomplete options of the course name fields.
+ */
+function renderCatalog() {
+    const count = courseCatalog.courses.length;
+    elements.catalogSummary().textContent = `${courseCatalog.name} (${count} course${count === 1 ? '' : 's'}${courseCatalog.bundled ? ', bundled' : ', edited'})`;
+    elements.resetCatalogBtn().disabled = Boolean(courseCatalog.bundled);
+    
+    elements.catalogOptions().innerHTML = courseCatalog.courses.map(course => `
+        <option value="${escapeHTML(course.code)}">${escapeHTML(course.title)} (${course.credits} cr)</option>
+    `).join('');
+}
+
+/**
+ * Shows each course's catalog details under its name and flags courses entered twice
+ * in the same term.
+ * @param {Array} courses - Course input objects of one term (defaults to the current term)
+ */
+function updateCourseHints(courses = state.courses) {
+    const duplicates = findDuplicateCourses(courses, courseCatalog);
+    
+    courses.forEach(course => {
+        const row = document.querySelector(`[data-course-id="${course.id}"]`);
+        const info = document.getElementById(`courseCatalogInfo${course.id}`);
+        if (!row || !info) return;
+        
+        const match = findCatalogCourse(course.name, courseCatalog);
+        const details = match
+            ? [
+                match.title,
+                CATALOG_CATEGORIES[match.category],
+                `${match.credits} cr`,
+                match.prerequisites.length > 0 ? `Prereq: ${match.prerequisites.join(', ')}` : ''
+            ].filter(Boolean).join(' · ')
+            : '';
+        const isDuplicate = duplicates.has(course.id);
+        
+        row.classList.toggle('duplicate', isDuplicate);
+        info.classList.toggle('duplicate-note', isDuplicate);
+        info.textContent = isDuplicate
+            ? `⚠️ Entered more than once this term${details ? ` · ${details}` : ''}`
+            : details;
+    });
+}
+
+/**
+ * Refreshes the catalog details and duplicate flags of every term.
+ */
+function updateAllCourseHints() {
+    updateCourseHints(state.courses);
+    state.semesters.forEach(semester => updateCourseHints(semester.courses));
+}
+
+/**
+ * Fills in a course's credits from the catalog when its name matches a catalog course,
+ * unless the credits were typed in (blank or the previous match's default are replaced).
+ * @param {Object} course - Course input object (name already read)
+ * @param {Object|undefined} previousMatch - Catalog course the name matched before the edit
+ */
+function fillCatalogCredits(course, previousMatch) {
+    const match = findCatalogCourse(course.name, courseCatalog);
+    if (!match || match === previousMatch) return;
+    
+    if (course.credits === null || course.credits === previousMatch?.credits) {
+        course.credits = match.credits;
+        document.getElementById(`courseCredits${course.id}`).value = match.credits;
+    }
+}
+
+/**
+ * Imports an edited course catalog from JSON, replacing the one in use.
+ * @param {string} text - JSON catalog definition
+ */
+function importCatalog(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        alert('Could not import the course catalog: the file is not valid JSON.');
+        return;
+    }
+    
+    const { catalog, errors } = normalizeCatalog(data);
+    if (!catalog) {
+        alert(`Could not import the course catalog:\n\n• ${errors.join('\n• ')}`);
+        return;
+    }
+    
+    if (!confirm(`Replace the course catalog "${courseCatalog.name}" with "${catalog.name}" (${catalog.courses.length} courses)?`)) {
+        return;
+    }
+    
+    courseCatalog = catalog;
+    writeCourseCatalog();
+    renderCatalog();
+    updateAllCourseHints();
+}
+
+/**
+ * Downloads the course catalog in use as JSON, e.g. as a template to edit.
+ */
+function exportCatalog() {
+    const slug = courseCatalog.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    downloadFile(JSON.stringify(serializeCatalog(courseCatalog), null, 2), 'application/json', `course_catalog_${slug}.json`);
+}
+
+/**
+ * Goes back from an edited course catalog to the bundled one.
+ */
+function resetCatalog() {
+    if (courseCatalog.bundled) return;
+    
+    if (!confirm(`Replace the course catalog "${courseCatalog.name}" with the bundled ${BUNDLED_CATALOG.name}?`)) {
+        return;
+    }
+    
+    courseCatalog = BUNDLED_CATALOG;
+    writeCourseCatalog();
+    renderCatalog();
+    updateAllCourseHints();
+}
+
+// ============================================
+// TARGET GPA
+// ============================================
+
+/**
+ * Solves for the grades needed on ungraded courses and renders the answer.
+ */
+function solveTarget() {
+    const targetType = elements.targetType().value;
+    const target = parseFloat(elements.targetValue().value);
+    const courses = collectCourseData();
+    
+    // Ungraded courses are what we solve for, so only their credits are validated here
+    const errors = [
+        ...validateCourses(courses.map(c => (c.hasGrade ? c : { ...c, excluded: true })), getGradingScheme()),
+        ...(targetType === 'cgpa' ? validateCGPAInputs() : [])
+    ];
+    
+    const maxPoint = getMaxGradePoint(getGradingScheme());
+    if (isNaN(target) || target < 0 || compareFractions(target, maxPoint) > 0) {
+        errors.push(`Target GPA must be between 0.00 and ${formatFraction(maxPoint, 2)}.`);
+    }
+    
+    if (errors.length > 0) {
+        renderInlineErrors(elements.targetResult(), errors);
+        return;
+    }
+    
+    const result = solveTargetGPA({
+        targetType,
+        target,
+        courses,
+        prevCGPA: state.previous.cgpa || 0,
+        prevCredits: state.previous.credits || 0,
+        scheme: getGradingScheme()
+    });
+    
+    renderTargetResult(result);
+}
+
+/**
+ * Renders input errors inside a section's result area (target solver, graduation progress).
+ * @param {HTMLElement} container - Result element
+ * @param {Array} errors - Array of error messages
+ */
+function renderInlineErrors(container, errors) {
+    container.innerHTML = `
+        <div class="error-message">
+            <strong>⚠️ Please fix the following errors:</strong>
+            <ul style="margin: 0.5rem 0 0 1.5rem;">
+                ${errors.map(e => `<li>${escapeHTML(e)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Renders the target GPA solver result.
+ * @param {Object} result - Result of solveTargetGPA
+ */
+function renderTargetResult(result) {
+    const scheme = getGradingScheme();
+    const lowestLetter = scheme.grades[scheme.grades.length - 1].letter;
+    const label = result.targetType === 'cgpa' ? 'CGPA' : 'term GPA';
+    const target = formatFraction(result.target, 2);
+    const remainingCredits = result.remainingCredits;
+    let html = '';
+    
+    if (result.status === 'no-credits') {
+        html = '<p class="target-message">Add courses with credit hours first.</p>';
+    } else if (result.status === 'achieved') {
+        html = remainingCredits > 0
+            ? `<p class="target-message achieved">✅ A ${label} of ${target} is already secured: even with ${escapeHTML(lowestLetter)} in the ${remainingCredits} remaining credits you would have ${formatFraction(result.worstGPA, 4)}.</p>`
+            : `<p class="target-message achieved">✅ Your ${label} of ${formatFraction(result.worstGPA, 4)} already meets the ${target} target.</p>`;
+    } else if (result.status === 'unreachable') {
+        html = remainingCredits > 0
+            ? `<p class="target-message unreachable">❌ A ${label} of ${target} is not reachable this term: even straight top grades in the ${remainingCredits} remaining credits give ${formatFraction(result.bestGPA, 4)}.</p>`
+            : `<p class="target-message unreachable">❌ Your ${label} of ${formatFraction(result.worstGPA, 4)} is below the ${target} target. Leave a grade blank on courses that are not finished yet.</p>`;
+    } else {
+        html = `
+            <p class="target-message reachable">
+                🎯 To reach a ${label} of ${target}, you need at least
+                <strong>${formatFraction(result.requiredQualityPoints, 2)} QP</strong> on the remaining ${remainingCredits} credits:
+                an average of <strong>${formatFraction(result.requiredAverage, 2)}</strong> grade points
+                ${result.uniformLetter ? `(${escapeHTML(result.uniformLetter)} or better in every remaining course)` : ''}${result.remaining.some(c => c.repeated) && scheme.repeatCap ? `; repeated courses count at most ${escapeHTML(scheme.repeatCap)}` : ''}.
+            </p>
+        `;
+        
+        if (result.combinations.length > 0) {
+            const headers = result.remaining.map(c => `<th>${escapeHTML(c.name)}<br><small>${c.credits} cr</small></th>`).join('');
+            const rows = result.combinations.map(combo => `
+                <tr>
+                    ${combo.grades.map(g => `<td>${escapeHTML(g.letter)}</td>`).join('')}
+                    <td>${formatFraction(combo.gpa, 4)}</td>
+                </tr>
+            `).join('');
+            
+            html += `
+                <h3>Grade combinations that reach the target</h3>
+                <div class="details-table-wrapper">
+                    <table class="details-table">
+                        <thead><tr>${headers}<th>Resulting ${label}</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+    }
+    
+    elements.targetResult().innerHTML = html;
+}
+
+// ============================================
+// GRADUATION PROGRESS
+// ============================================
+
+/**
+ * Audits the entered courses against the graduation requirements and renders the result.
+ */
+function checkGraduationProgress() {
+    const targetText = elements.auditTarget().value.trim();
+    const targetCGPA = targetText === '' ? null : parseFloat(targetText);
+    const isTranscript = state.mode === 'transcript';
+    const semesters = isTranscript
+        ? state.semesters.map((semester, index) => ({
+            name: getSemesterLabel(semester, index),
+            courses: collectCourseData(semester.courses)
+        }))
+        : [{ name: 'Current Term', courses: collectCourseData() }];
+    
+    // Courses without a grade are planned, so only their credits are validated here
+    const errors = semesters.flatMap(semester => {
+        if (semester.courses.length === 0) return [];
+        const courseErrors = validateCourses(semester.courses.map(c => (c.hasGrade ? c : { ...c, excluded: true })), getGradingScheme());
+        return isTranscript ? courseErrors.map(error => `${semester.name}: ${error}`) : courseErrors;
+    });
+    
+    if (state.mode === 'cgpa') {
+        errors.push(...validateCGPAInputs());
+    }
+    
+    const maxPoint = getMaxGradePoint(getGradingScheme());
+    if (targetCGPA !== null && (isNaN(targetCGPA) || targetCGPA < 0 || compareFractions(targetCGPA, maxPoint) > 0)) {
+        errors.push(`Target CGPA must be between 0.00 and ${formatFraction(maxPoint, 2)}.`);
+    }
+    
+    if (errors.length > 0) {
+        renderInlineErrors(elements.auditResult(), errors);
+        return;
+    }
+    
+    const audit = computeDegreeAudit({
+        semesters,
+        previous: state.mode === 'cgpa'
+            ? { cgpa: state.previous.cgpa || 0, credits: state.previous.credits || 0 }
+            : null,
+        targetCGPA,
+        catalog: courseCatalog,
+        scheme: getGradingScheme()
+    });
+    
+    renderDegreeAudit(audit);
+}
+
+/**
+ * Renders the degree audit: totals, progress per category, remaining required courses
+ * and the GPA needed to graduate at the target CGPA.
+ * @param {Object} audit - Result of computeDegreeAudit
+ */
+function renderDegreeAudit(audit) {
+    const percent = (done, total) => (total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 100);
+    
+    let html = `
+        <div class="summary-stats">
+            <div class="stat-card">
+                <div class="stat-value">${audit.completedCredits} / ${audit.totalCredits}</div>
+                <div class="stat-label">Credits Completed</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${audit.remainingCredits}</div>
+                <div class="stat-label">Credits to Graduate</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${audit.gpaCredits > 0 ? formatFraction(audit.cgpa, 2) : '-'}</div>
+                <div class="stat-label">Current CGPA</div>
+            </div>
+        </div>
+    `;
+    
+    const rows = audit.categories.map(category => `
+        <tr>
+            <td>${escapeHTML(category.label)}</td>
+            <td>${category.completedCredits} / ${category.requiredCredits}</td>
+            <td>${category.remainingCredits}</td>
+            <td>
+                <div class="audit-progress" title="${percent(category.completedCredits, category.requiredCredits)}%">
+                    <div class="audit-progress-bar" style="width: ${percent(category.completedCredits, category.requiredCredits)}%"></div>
+                </div>
+            </td>
+        </tr>
+    `);
+    
+    if (audit.otherCredits > 0) {
+        rows.push(`<tr><td>Other courses</td><td>${audit.otherCredits}</td><td>-</td><td></td></tr>`);
+    }
+    
+    if (audit.previousCredits > 0) {
+        rows.push(`<tr><td>Previous record</td><td>${audit.previousCredits}</td><td>-</td><td></td></tr>`);
+    }
+    
+    html += `
+        <div class="details-table-wrapper">
+            <table class="details-table audit-table">
+                <thead><tr><th>Requirement</th><th>Credits</th><th>Remaining</th><th>Progress</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        </div>
+    `;
+    
+    if (audit.previousCredits > 0) {
+        html += '<p class="section-hint">Courses in your previous record are not itemized: they count toward the total and are assumed to cover missing category credits. Use Transcript mode for a full audit.</p>';
+    }
+    
+    // Remaining required courses, by category
+    const missing = audit.categories.filter(category => category.remainingCourses.length > 0);
+    if (missing.length > 0) {
+        html += `
+            <h3>Remaining required courses</h3>
+            <ul class="audit-remaining">
+                ${missing.map(category => `
+                    <li>
+                        <strong>${escapeHTML(category.label)}:</strong>
+                        ${category.remainingCourses.map(course => `
+                            <span class="audit-course${course.planned ? ' planned' : ''}" title="${escapeHTML(course.title)}">${escapeHTML(course.code)}${course.credits !== null ? ` (${course.credits} cr)` : ''}${course.planned ? ' · planned' : ''}</span>
+                        `).join('')}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    // GPA needed to graduate at the target
+    const target = audit.target;
+    if (target) {
+        const targetText = formatFraction(target.targetCGPA, 2);
+        if (target.status === 'achieved') {
+            html += audit.remainingCredits > 0
+                ? `<p class="target-message achieved">✅ A graduation CGPA of ${targetText} is already secured: even with the lowest grade in the ${audit.remainingCredits} remaining credits you would graduate with ${formatFraction(target.worstCGPA, 4)}.</p>`
+                : `<p class="target-message achieved">✅ Your CGPA of ${formatFraction(target.worstCGPA, 4)} meets the ${targetText} target.</p>`;
+        } else if (target.status === 'unreachable') {
+            html += audit.remainingCredits > 0
+                ? `<p class="target-message unreachable">❌ A graduation CGPA of ${targetText} is out of reach: even top grades in the ${audit.remainingCredits} remaining credits give ${formatFraction(target.bestCGPA, 4)}.</p>`
+                : `<p class="target-message unreachable">❌ Your CGPA of ${formatFraction(target.worstCGPA, 4)} is below the ${targetText} target.</p>`;
+        } else {
+            html += `<p class="target-message reachable">🎯 To graduate with a CGPA of ${targetText}, you need an average of at least <strong>${formatFraction(target.requiredAverage, 2)}</strong> grade points over the remaining ${audit.remainingCredits} credits.</p>`;
+        }
+    }
+    
+    elements.auditResult().innerHTML = html;
+}
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+/**
+ * URL fragment prefix of a share link, e.g. "#plan=1.WzAs…".
+ */
+const SHARE_LINK_PREFIX = '#plan=';
+
+/**
+ * Builds a link to this page that opens the current inputs, with the definition of the
+ * grading scheme when it is an imported one.
+ * @returns {string} Share link
+ */
+function createShareLink() {
+    const scheme = getGradingScheme();
+    const encoded = encodeShareLink(serializeState(), scheme.builtIn ? null : scheme);
+    return `${location.href.split('#')[0]}${SHARE_LINK_PREFIX}${encoded}`;
+}
+
+/**
+ * Copies a share link of the current inputs, or shows it to copy by hand when the
+ * clipboard is unavailable.
+ */
+function copyShareLink() {
+    if (countSnapshotCourses(serializeState()) === 0) {
+        alert('No courses to share. Please add some courses first.');
+        return;
+    }
+    
+    const link = createShareLink();
+    const showLink = () => prompt('Copy this link to share your plan:', link);
+    
+    if (!navigator.clipboard) {
+        showLink();
+        return;
+    }
+    
+    navigator.clipboard.writeText(link)
+        .then(() => alert('Share link copied. Anyone who opens it sees these courses and can change them in their own browser.'))
+        .catch(showLink);
+}
+
+/**
+ * Opens the share link in the page's URL fragment, if there is one, replacing the
+ * current inputs. The fragment is removed so reloading does not open it again.
+ */
+function openShareLink() {
+    if (!location.hash.startsWith(SHARE_LINK_PREFIX)) return;
+    
+    const { snapshot, scheme, error } = decodeShareLink(location.hash.slice(SHARE_LINK_PREFIX.length));
+    history.replaceState(null, '', location.href.split('#')[0]);
+    
+    if (error) {
+        alert(`Could not open the shared link: ${error}`);
+        return;
+    }
+    
+    // A first visit starts with one empty course, which needs no confirmation
+    const current = serializeState();
+    const hasInput = [...current.courses, ...current.semesters.flatMap(s => s.courses)]
+        .some(c => c.name.trim() || c.credits !== null || c.letter || c.score !== null);
+    
+    if (hasInput && !confirm('Open the shared plan? Your current courses will be replaced.')) {
+        return;
+    }
+    
+    // The plan's imported scheme comes with the link; older links only name it
+    if (scheme) {
+        snapshot.schemeId = resolveImportedScheme(scheme);
+    } else if (getGradingScheme(snapshot.schemeId).id !== snapshot.schemeId) {
+        alert(`The shared plan uses a grading scheme that is not available here ("${snapshot.schemeId}"), so ${getGradingScheme(snapshot.schemeId).name} is used instead. Import that scheme to see the same results.`);
+    }
+    
+    applyState(normalizeSnapshot(snapshot));
+    saveState();
+}
+
+// ============================================
+// SAVED SESSIONS
+// ============================================
+
+/**
+ * Finds a session by name; names are unique regardless of case.
+ * @param {Object[]} sessions - Saved sessions
+ * @param {string} name - Session name
+ * @param {string} [exceptId] - Session to ignore (the one being renamed)
+ * @returns {Object|undefined} The session with that name
+ */
+function findSessionByName(sessions, name, exceptId) {
+    return sessions.find(s => s.id !== exceptId && s.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Saves the current state as a named session, overwriting one with the same name.
+ */
+function saveSession() {
+    const input = elements.sessionName();
+    const name = input.value.trim();
+    
+    if (!name) {
+        alert('Please enter a name for this session.');
+        input.focus();
+        return;
+    }
+    
+    const sessions = getSavedSessions();
+    const existing = findSessionByName(sessions, name);
+    const savedAt = new Date().toISOString();
+    
+    if (existing) {
+        if (!confirm(`A session named "${existing.name}" already exists. Overwrite it?`)) {
+            return;
+        }
+        existing.data = serializeState();
+        existing.savedAt = savedAt;
+    } else {
+        sessions.push({ id: createSessionId(), name, savedAt, data: serializeState() });
+    }
+    
+    writeSavedSessions(sessions);
+    input.value = '';
+    renderSessionList();
+}
+
+/**
+ * Loads a named session into the calculator.
+ * @param {string} id - Session ID
+ */
+function loadSession(id) {
+    const session = getSavedSessions().find(s => s.id === id);
+    if (!session) return;
+    
+    if (countSnapshotCourses(serializeState()) > 0 &&
+        !confirm(`Load "${session.name}"? Your current courses will be replaced.`)) {
+        return;
+    }
+    
+    applyState(normalizeSnapshot(session.data));
+    saveState();
+}
+
+/**
+ * Renames a named session.
+ * @param {string} id - Session ID
+ */
+function renameSession(id) {
+    const sessions = getSavedSessions();
+    const session = sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    const name = prompt('New name for this session:', session.name)?.trim();
+    if (!name) return;
+    
+    const existing = findSessionByName(sessions, name, id);
+    if (existing) {
+        alert(`A session named "${existing.name}" already exists. Please choose another name.`);
+        return;
+    }
+    
+    session.name = name;
+    writeSavedSessions(sessions);
+    renderSessionList();
+}
+
+/**
+ * Duplicates a named session right after the original.
+ * @param {string} id - Session ID
+ */
+function duplicateSession(id) {
+    const sessions = getSavedSessions();
+    const index = sessions.findIndex(s => s.id === id);
+    if (index === -1) return;
+    
+    const original = sessions[index];
+    let name = `${original.name} (copy)`;
+    for (let n = 2; findSessionByName(sessions, name); n++) {
+        name = `${original.name} (copy ${n})`;
+    }
+    
+    sessions.splice(index + 1, 0, {
+        id: createSessionId(),
+        name,
+        savedAt: new Date().toISOString(),
+        data: JSON.parse(JSON.stringify(original.data))
+    });
+    
+    writeSavedSessions(sessions);
+    renderSessionList();
+}
+
+/**
+ * Deletes a named session.
+ * @param {string} id - Session ID
+ */
+function deleteSession(id) {
+    const sessions = getSavedSessions();
+    const session = sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    if (!confirm(`Delete the session "${session.name}"? This cannot be undone.`)) {
+        return;
+    }
+    
+    writeSavedSessions(sessions.filter(s => s.id !== id));
+    renderSessionList();
+}
+
+/**
+ * Renders the list of named saved sessions.
+ */
+function renderSessionList() {
+    const sessions = getSavedSessions();
+    
+    elements.sessionList().innerHTML = sessions.map(session => {
+        const courseCount = countSnapshotCourses(normalizeSnapshot(session.data));
+        const savedAt = new Date(session.savedAt).toLocaleString();
+        
+        return `
+            <li class="session-item" data-session-id="${escapeHTML(session.id)}">
+                <div class="session-info">
+                    <strong>${escapeHTML(session.name)}</strong>
+                    <small>${courseCount} course${courseCount === 1 ? '' : 's'} · saved ${escapeHTML(savedAt)}</small>
+                </div>
+                <div class="session-actions">
+                    <button type="button" class="btn btn-secondary" data-session-action="load">Load</button>
+                    <button type="button" class="btn btn-secondary" data-session-action="rename">Rename</button>
+                    <button type="button" class="btn btn-secondary" data-session-action="duplicate">Duplicate</button>
+                    <button type="button" class="btn btn-secondary" data-session-action="delete" aria-label="Delete session ${escapeHTML(session.name)}">Delete</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+    
+    elements.sessionEmptyMessage().style.display = sessions.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Runs the action of a button clicked in the session list.
+ * @param {MouseEvent} event - click event from the session list
+ */
+function handleSessionListClick(event) {
+    const button = event.target.closest('[data-session-action]');
+    if (!button) return;
+    
+    const actions = {
+        load: loadSession,
+        rename: renameSession,
+        duplicate: duplicateSession,
+        delete: deleteSession
+    };
+    actions[button.dataset.sessionAction](button.closest('.session-item').dataset.sessionId);
+}
+
+/**
+ * Toggles the grade reference table visibility.
+ */
+function toggleReference() {
+    const content = elements.referenceContent();
+    const isVisible = content.style.display !== 'none';
+    content.style.display = isVisible ? 'none' : 'block';
+    elements.referenceToggle().textContent = isVisible ? '📋 View Grade Table' : '📋 Hide Grade Table';
+}
+
+// ============================================
+// OFFLINE & INSTALL
+// ============================================
+
+/**
+ * New service worker waiting to take over (set while the update banner is shown).
+ */
+let waitingWorker = null;
+
+/**
+ * Deferred browser install prompt, kept until the user clicks Install App.
+ */
+let installPrompt = null;
+
+/**
+ * Registers the service worker that keeps the app working offline, and offers to reload
+ * when a new version has been downloaded. Service workers need http(s), so a page opened
+ * from disk skips this.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // The first install has no controller, so there is nothing to update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+    }).catch(() => {
+        // Offline support is best-effort
+    });
+    
+    // Reload into the new version once it has taken over (only after the user accepted)
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (waitingWorker) {
+            waitingWorker = null;
+            location.reload();
+        }
+    });
+}
+
+/**
+ * Shows the "update available" banner for a waiting service worker.
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    elements.updateBanner().style.display = 'flex';
+}
+
+/**
+ * Activates the waiting version; the page reloads when it takes over.
+ * Inputs are autosaved, so nothing is lost.
+ */
+function applyUpdate() {
+    if (!waitingWorker) return;
+    
+    saveState();
+    elements.updateBanner().style.display = 'none';
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Hides the update banner; the new version loads the next time the app is opened.
+ */
+function dismissUpdate() {
+    waitingWorker = null;
+    elements.updateBanner().style.display = 'none';
+}
+
+/**
+ * Keeps the browser's install prompt and shows the Install App button.
+ * @param {Event} event - beforeinstallprompt event
+ */
+function handleInstallPrompt(event) {
+    event.preventDefault();
+    installPrompt = event;
+    elements.installBtn().style.display = 'inline-flex';
+}
+
+/**
+ * Shows the browser's install prompt.
+ */
+function installApp() {
+    if (!installPrompt) return;
+    
+    installPrompt.prompt();
+    installPrompt = null;
+    elements.installBtn().style.display = 'none';
+}
+
+// ============================================
+// EVENT LISTENERS & INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Mode selection
+    elements.modeRadios().forEach(radio => {
+        radio.addEventListener('change', handleModeChange);
+    });
     
     // Buttons
-    elements.addCourseBtn().addEventListener('click', addCourse);
+    elements.addCourseBtn().addEventListener('click', () => addCourse());
+    elements.pasteCoursesBtn().addEventListener('click', () => openPasteDialog());
+    elements.sortCoursesSelect().addEventListener('change', handleSortChange);
+    elements.pasteInput().addEventListener('input', renderPastePreview);
+    elements.pasteAddBtn().addEventListener('click', addPastedCourses);
+    elements.pasteCancelBtn().addEventListener('click', () => elements.pasteDialog().close());
+    elements.addSemesterBtn().addEventListener('click', addSemester);
     elements.calculateBtn().addEventListener('click', calculate);
+    elements.liveResultsToggle().addEventListener('change', handleLiveResultsToggle);
     elements.resetBtn().addEventListener('click', resetCalculator);
+    elements.undoBtn().addEventListener('click', undo);
+    elements.redoBtn().addEventListener('click', redo);
+    elements.undoToastBtn().addEventListener('click', undo);
     elements.exportBtn().addEventListener('click', exportCSV);
+    elements.shareBtn().addEventListener('click', copyShareLink);
+    elements.installBtn().addEventListener('click', installApp);
+    elements.updateReloadBtn().addEventListener('click', applyUpdate);
+    elements.updateDismissBtn().addEventListener('click', dismissUpdate);
+    elements.reportBtn().addEventListener('click', openReport);
+    elements.printReportBtn().addEventListener('click', () => window.print());
+    elements.closeReportBtn().addEventListener('click', closeReport);
+    elements.studentName().addEventListener('input', handleStudentInfoInput);
+    elements.studentId().addEventListener('input', handleStudentInfoInput);
+    elements.importBtn().addEventListener('click', () => elements.csvFileInput().click());
+    elements.csvFileInput().addEventListener('change', (e) => readSelectedFile(e, importCSV));
+    elements.exportJsonBtn().addEventListener('click', exportJSON);
+    elements.importJsonBtn().addEventListener('click', () => elements.jsonFileInput().click());
+    elements.jsonFileInput().addEventListener('change', (e) => readSelectedFile(e, importJSON));
     elements.referenceToggle().addEventListener('click', toggleReference);
+    elements.saveSessionBtn().addEventListener('click', saveSession);
+    elements.sessionList().addEventListener('click', handleSessionListClick);
+    elements.solveTargetBtn().addEventListener('click', solveTarget);
+    elements.auditBtn().addEventListener('click', checkGraduationProgress);
+    elements.schemeSelect().addEventListener('change', handleSchemeChange);
+    elements.importSchemeBtn().addEventListener('click', () => elements.schemeFileInput().click());
+    elements.schemeFileInput().addEventListener('change', (e) => readSelectedFile(e, importGradingScheme));
+    elements.exportSchemeBtn().addEventListener('click', exportGradingScheme);
+    elements.removeSchemeBtn().addEventListener('click', removeGradingScheme);
+    elements.importCatalogBtn().addEventListener('click', () => elements.catalogFileInput().click());
+    elements.catalogFileInput().addEventListener('change', (e) => readSelectedFile(e, importCatalog));
+    elements.exportCatalogBtn().addEventListener('click', exportCatalog);
+    elements.resetCatalogBtn().addEventListener('click', resetCatalog);
+    
+    // Keep state in sync with the form
+    elements.courseList().addEventListener('input', handleCourseInput);
+    elements.courseList().addEventListener('change', handleCourseInput);
+    elements.semesterList().addEventListener('input', handleSemesterInput);
+    elements.semesterList().addEventListener('change', handleSemesterInput);
+    
+    // Reorder course rows by dragging their handle or with the arrow keys
+    [elements.courseList(), elements.semesterList()].forEach(list => {
+        list.addEventListener('dragstart', handleCourseDragStart);
+        list.addEventListener('dragover', handleCourseDragOver);
+        list.addEventListener('drop', handleCourseDrop);
+        list.addEventListener('dragend', handleCourseDragEnd);
+        list.addEventListener('keydown', handleCourseKeydown);
+    });
+    elements.prevCGPA().addEventListener('input', handlePreviousInput);
+    elements.prevCGPA().addEventListener('change', handlePreviousInput);
+    elements.prevCredits().addEventListener('input', handlePreviousInput);
+    elements.prevCredits().addEventListener('change', handlePreviousInput);
+    
+    elements.sessionName().addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveSession();
+        }
+    });
+    
+    // Offline support and installing to the home screen
+    window.addEventListener('beforeinstallprompt', handleInstallPrompt);
+    window.addEventListener('appinstalled', () => {
+        elements.installBtn().style.display = 'none';
+    });
+    registerServiceWorker();
+    
+    // Share links opened while the page is already loaded
+    window.addEventListener('hashchange', openShareLink);
+    
+    // Sessions, schemes and the course catalog saved in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEYS.sessions) {
+            renderSessionList();
+        }
+        
+        if (e.key === STORAGE_KEYS.catalog) {
+            courseCatalog = loadCourseCatalog();
+            renderCatalog();
+            updateAllCourseHints();
+        }
+        
+        if (e.key === STORAGE_KEYS.schemes) {
+            customSchemes = loadCustomSchemes();
+            if (getGradingScheme().id === state.schemeId) {
+                renderSchemePicker();
+            } else {
+                selectGradingScheme(state.schemeId);  // The selected scheme was removed
+            }
+        }
+    });
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Escape closes the transcript report
+        if (e.key === 'Escape' && document.body.classList.contains('report-open')) {
+            closeReport();
+            return;
+        }
+        
         // Ctrl/Cmd + Enter to calculate
         if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
             e.preventDefault();
             calculate();
         }
         
-        // Ctrl/Cmd + N to add course
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y to redo
+        // (the paste dialog and the report keep the browser's own text undo)
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !e.target.closest?.('dialog, .report-view')) {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        }
+        
+        // Ctrl/Cmd + N to add course (to the latest semester in transcript mode)
         if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
             e.preventDefault();
-            addCourse();
+            if (state.mode !== 'transcript') {
+                addCourse();
+            } else if (state.semesters.length > 0) {
+                addCourse(state.semesters[state.semesters.length - 1].id);
+            } else {
+                addSemester();
+            }
         }
     });
     
-    // Add initial course
-    addCourse();
+    customSchemes = loadCustomSchemes();
+    courseCatalog = loadCourseCatalog();
+    liveResults = readStorage(STORAGE_KEYS.liveResults) === true;
+    elements.liveResultsToggle().checked = liveResults;
+    const student = loadStudentInfo();
+    elements.studentName().value = student.name;
+    elements.studentId().value = student.id;
+    elements.sortCoursesSelect().innerHTML = createSortOptionsHTML();
+    renderSchemePicker();
+    renderCatalog();
+    renderSessionList();
+    
+    // Restore autosaved work, or start with one empty course
+    const saved = loadSavedState();
+    if (saved && (countSnapshotCourses(saved) > 0 || saved.mode !== 'term')) {
+        applyState(saved);
+    } else {
+        addCourse();
+    }
+    
+    // Undo starts from the restored work; opening a share link can be undone
+    resetHistory();
+    openShareLink();
 });
 
 // Make functions globally available for inline event handlers
 window.toggleGradeInput = toggleGradeInput;
 window.updateCourseVisual = updateCourseVisual;
 window.removeCourse = removeCourse;
+window.duplicateCourse = duplicateCourse;
+window.sortCourses = sortCourses;
+window.addCourse = addCourse;
+window.removeSemester = removeSemester;
+window.openPasteDialog = openPasteDialog;
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * GPA Calculator - Command Line
+ * Computes term GPA and CGPA from a course file written by Export CSV, or a JSON
+ * course list, using the same engine as the web app.
+ *
+ * Exit codes: 0 success, 1 the file cannot be read, has invalid courses or cannot be
+ * calculated, 2 usage error.
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    formatFraction,
+    fractionToNumber,
+    DEFAULT_SCHEME,
+    computeTermGPA,
+    computeNewCGPA,
+    computeTranscript,
+    createCourseData,
+    validateCourse,
+    validatePreviousRecord,
+    NO_INCLUDED_COURSES_ERROR,
+    validateReplacedAttempts,
+    createTermCSV,
+    createTranscriptCSV,
+    parseCourseCSV,
+    parseCourseJSON
+} from './gpa-engine.js';
+
+const USAGE = `Usage: zc-gpa <course-file> [options]
+
+Computes the term GPA and CGPA of a course file. The file is a CSV with the
+columns written by Export CSV, or JSON: an array of rows keyed by the same
+column names, or { "previous": { "cgpa", "credits" }, "courses": [...] }.
+Files with a Semester column are computed as a transcript.
+
+Options:
+  --prev-cgpa <n>      Previous CGPA (overrides the file's previous record)
+  --prev-credits <n>   Previous total credits (overrides the file's previous record)
+  --format <format>    Output format: text (default), json or csv
+  -h, --help           Show this help
+
+Exit codes: 0 success, 1 unreadable file or courses that cannot be calculated,
+2 usage error.`;
+
+const FORMATS = ['text', 'json', 'csv'];
+
+/**
+ * Error in the command line itself (exit code 2).
+ */
+class UsageError extends Error {}
+
+// ============================================
+// ARGUMENTS & INPUT
+// ============================================
+
+/**
+ * Parses the command-line arguments.
+ * @param {Array} args - Arguments after the script name
+ * @returns {{ help: boolean, file: string, format: string, previous: Object|null }} Options; previous is null unless a --prev flag was given
+ */
+function parseOptions(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                'prev-cgpa': { type: 'string' },
+                'prev-credits': { type: 'string' },
+                format: { type: 'string', default: 'text' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+    
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+    
+    if (positionals.length !== 1) {
+        throw new UsageError(positionals.length === 0 ? 'Missing the course file.' : 'Expected a single course file.');
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}": use ${FORMATS.join(', ')}.`);
+    }
+    
+    const parseNumber = (value, flag) => {
+        if (value === undefined) return null;
+        const number = value.trim() === '' ? NaN : Number(value);
+        if (isNaN(number)) {
+            throw new UsageError(`${flag} must be a number, not "${value}".`);
+        }
+        return number;
+    };
+    
+    const prevCGPA = parseNumber(values['prev-cgpa'], '--prev-cgpa');
+    const prevCredits = parseNumber(values['prev-credits'], '--prev-credits');
+    
+    return {
+        help: false,
+        file: positionals[0],
+        format: values.format,
+        previous: prevCGPA === null && prevCredits === null ? null : { cgpa: prevCGPA, credits: prevCredits }
+    };
+}
+
+/**
+ * Reads and parses a course file; .json files are read as JSON, anything else as CSV.
+ * @param {string} path - Path to the course file
+ * @param {Object} scheme - Grading scheme
+ * @returns {{ file: Object|null, errors: Array }} Parsed file and its errors
+ */
+function readCourseFile(path, scheme) {
+    let text;
+    try {
+        text = readFileSync(path, 'utf8');
+    } catch (e) {
+        return { file: null, errors: [`Cannot read ${path}: ${e.code === 'ENOENT' ? 'no such file' : e.message}.`] };
+    }
+    
+    if (extname(path).toLowerCase() !== '.json') {
+        return parseCourseCSV(text, scheme);
+    }
+    
+    try {
+        return parseCourseJSON(JSON.parse(text), scheme);
+    } catch (e) {
+        return { file: null, errors: [`${path} is not valid JSON: ${e.message}`] };
+    }
+}
+
+/**
+ * Builds course data for a file's course inputs and reports the errors validateCourses
+ * would, labelled with the line (CSV) or entry (JSON) each course was read from.
+ * @param {Array} inputs - Course inputs from parseCourseCSV or parseCourseJSON
+ * @param {Object} scheme - Grading scheme
+ * @param {Array} errors - Array the errors are added to
+ * @returns {Array} Course data for the engine
+ */
+function createFileCourses(inputs, scheme, errors) {
+    const courses = createCourseData(inputs.map((input, index) => ({ ...input, id: index + 1 })), scheme);
+    
+    courses.forEach((course, index) => {
+        const input = inputs[index];
+        const label = input.line !== undefined ? `Line ${input.line}` : `Entry ${input.entry}`;
+        
+        validateCourse(course, scheme).forEach(error => errors.push(`${label} (${course.name}): ${error}`));
+    });
+    return courses;
+}
+
+/**
+ * Finds what keeps valid courses from being calculated, as the web app does: no course
+ * counting in the GPA, or replaced attempts that do not fit in the previous record.
+ * @param {Array} courses - Course data of a term file
+ * @param {Array} semesters - Array of { name, courses } of a transcript file
+ * @param {Object|null} previous - Previous record, or null for term mode
+ * @param {Object} scheme - Grading scheme
+ * @returns {Array} Array of error messages
+ */
+function validateCalculation(courses, semesters, previous, scheme) {
+    if (semesters.length > 0) {
+        return computeTranscript(semesters, scheme).totalCredits === 0 ? [NO_INCLUDED_COURSES_ERROR] : [];
+    }
+    if (courses.every(course => course.excluded)) {
+        return [NO_INCLUDED_COURSES_ERROR];
+    }
+    return previous ? validateReplacedAttempts(computeTermGPA(courses, scheme), previous) : [];
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Converts a processed course to plain JSON.
+ * @param {Object} course - Processed course from computeTermGPA
+ * @returns {Object} Course with numeric grade and quality points
+ */
+function courseToJSON(course) {
+    return {
+        name: course.name,
+        credits: course.credits,
+        score: course.score,
+        letter: course.letter,
+        gradePoints: fractionToNumber(course.gradePoint),
+        qualityPoints: fractionToNumber(course.qualityPoints),
+        status: course.status,
+        excluded: course.excluded,
+        repeated: course.repeated,
+        capped: Boolean(course.wasCapped)
+    };
+}
+
+/**
+ * Converts a term result to plain JSON.
+ * @param {Object} termResult - Result of computeTermGPA
+ * @returns {Object} Term totals and courses
+ */
+function termToJSON(termResult) {
+    return {
+        termGPA: fractionToNumber(termResult.gpa),
+        totalCredits: termResult.totalCredits,
+        totalQualityPoints: fractionToNumber(termResult.totalQualityPoints),
+        courses: termResult.courses.map(courseToJSON)
+    };
+}
+
+/**
+ * Formats processed courses as an aligned text table.
+ * @param {Array} courses - Processed courses from computeTermGPA
+ * @returns {string} Table lines
+ */
+function formatCourseTable(courses) {
+    const rows = [
+        ['Course', 'Credits', 'Score', 'Grade', 'Points', 'QP', 'Status'],
+        ...courses.map(course => [
+            course.name,
+            String(course.credits),
+            course.score === null ? '-' : String(course.score),
+            course.letter,
+            formatFraction(course.gradePoint, 2),
+            formatFraction(course.qualityPoints, 2),
+            course.status !== 'graded' ? course.status : (course.wasCapped ? `Capped at ${course.letter}` : 'Included')
+        ])
+    ];
+    
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const numeric = [false, true, true, false, true, true, false];
+    
+    return rows
+        .map(row => row
+            .map((cell, column) => (numeric[column] ? cell.padStart(widths[column]) : cell.padEnd(widths[column])))
+            .join('  ')
+            .trimEnd())
+        .join('\n');
+}
+
+/**
+ * Formats term totals as text lines.
+ * @param {Object} termResult - Result of computeTermGPA
+ * @returns {string} Totals lines
+ */
+function formatTermTotals(termResult) {
+    return [
+        `Term Credits:         ${termResult.totalCredits}`,
+        `Term Quality Points:  ${formatFraction(termResult.totalQualityPoints, 2)}`,
+        `Term GPA:             ${formatFraction(termResult.gpa, 2)}`
+    ].join('\n');
+}
+
+/**
+ * Computes a term (or CGPA) file and formats the output.
+ * @param {Array} courses - Course data
+ * @param {Object|null} previous - Previous record, or null for term mode
+ * @param {string} format - text, json or csv
+ * @param {Object} scheme - Grading scheme
+ * @returns {string} Output
+ */
+function reportTerm(courses, previous, format, scheme) {
+    const termResult = computeTermGPA(courses, scheme);
+    const cgpaResult = previous && computeNewCGPA(
+        previous.cgpa, previous.credits, termResult.totalQualityPoints, termResult.totalCredits, null,
+        { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+    );
+    
+    if (format === 'csv') {
+        return createTermCSV(termResult, previous);
+    }
+    
+    if (format === 'json') {
+        const output = { mode: previous ? 'cgpa' : 'term', scheme: scheme.id, ...termToJSON(termResult) };
+        if (previous) {
+            output.previous = previous;
+            output.cgpa = fractionToNumber(cgpaResult.cgpa);
+            output.cgpaCredits = cgpaResult.totalCredits;
+        }
+        return `${JSON.stringify(output, null, 2)}\n`;
+    }
+    
+    let text = `${formatCourseTable(termResult.courses)}\n\n${formatTermTotals(termResult)}\n`;
+    if (previous) {
+        text += `\nPrevious CGPA:        ${previous.cgpa} over ${previous.credits} credits\n`;
+        text += `New CGPA:             ${formatFraction(cgpaResult.cgpa, 2)} over ${cgpaResult.totalCredits} credits\n`;
+    }
+    return text;
+}
+
+/**
+ * Computes a transcript file and formats the output.
+ * @param {Array} semesters - Array of { name, courses } with course data
+ * @param {string} format - text, json or csv
+ * @param {Object} scheme - Grading scheme
+ * @returns {string} Output
+ */
+function reportTranscript(semesters, format, scheme) {
+    const result = computeTranscript(semesters, scheme);
+    
+    if (format === 'csv') {
+        return createTranscriptCSV(result);
+    }
+    
+    if (format === 'json') {
+        const output = {
+            mode: 'transcript',
+            scheme: scheme.id,
+            semesters: result.semesters.map(semester => ({
+                name: semester.name,
+                ...termToJSON(semester.termResult),
+                cgpa: fractionToNumber(semester.cgpa),
+                cgpaCredits: semester.totalCredits
+            })),
+            cgpa: fractionToNumber(result.cgpa),
+            totalCredits: result.totalCredits,
+            totalQualityPoints: fractionToNumber(result.totalQualityPoints)
+        };
+        return `${JSON.stringify(output, null, 2)}\n`;
+    }
+    
+    const blocks = result.semesters.map(semester => [
+        `${semester.name}`,
+        formatCourseTable(semester.termResult.courses),
+        '',
+        formatTermTotals(semester.termResult),
+        `CGPA:                 ${formatFraction(semester.cgpa, 2)} over ${semester.totalCredits} credits`
+    ].join('\n'));
+    
+    return `${blocks.join('\n\n')}\n\nCGPA:                 ${formatFraction(result.cgpa, 2)} over ${result.totalCredits} credits\n`;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+/**
+ * Runs the calculator.
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+    let options;
+    try {
+        options = parseOptions(args);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        process.stderr.write(`Error: ${e.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    
+    const scheme = DEFAULT_SCHEME;
+    const { file, errors } = readCourseFile(options.file, scheme);
+    
+    if (file) {
+        const isTranscript = file.mode === 'transcript';
+        
+        if (isTranscript && options.previous) {
+            process.stderr.write(`Error: --prev-cgpa and --prev-credits cannot be used with a transcript file.\n`);
+            return 2;
+        }
+        
+        // Flags override the file's previous record; a missing half counts as 0
+        const previous = options.previous ?? (file.mode === 'cgpa' ? file.previous : null);
+        if (previous) {
+            previous.cgpa ??= 0;
+            previous.credits ??= 0;
+            errors.push(...validatePreviousRecord(previous, scheme));
+        }
+        
+        const courses = createFileCourses(file.courses, scheme, errors);
+        const semesters = file.semesters.map(semester => ({
+            name: semester.name,
+            courses: createFileCourses(semester.courses, scheme, errors)
+        }));
+        
+        if (courses.length === 0 && semesters.length === 0 && errors.length === 0) {
+            errors.push('Please add at least one course.');
+        } else if (errors.length === 0) {
+            errors.push(...validateCalculation(courses, semesters, previous, scheme));
+        }
+        
+        if (errors.length === 0) {
+            process.stdout.write(isTranscript
+                ? reportTranscript(semesters, options.format, scheme)
+                : reportTerm(courses, previous, options.format, scheme));
+            return 0;
+        }
+    }
+    
+    // Parse errors and validation errors are found in separate passes; list them in file order
+    const position = error => Number(/^(?:Line|Entry) (\d+)/.exec(error)?.[1] ?? 0);
+    errors.sort((a, b) => position(a) - position(b));
+    
+    process.stderr.write(`${options.file}:\n${errors.map(e => `  ${e}`).join('\n')}\n`);
+    return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
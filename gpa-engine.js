@@ -0,0 +1,2738 @@
+// GPA engine: grade mapping, term/cumulative GPA, transcripts, target solving, what-if
+// scenarios, academic standing, the course catalog and the degree audit.
+// It has no DOM or storage access, so it runs in the browser (imported by app.js) and in
+// Node (see tests/). Every exported name is part of its public API; functions that depend
+// on a grading scheme or catalog take it as their last argument and default to
+// DEFAULT_SCHEME / BUNDLED_CATALOG.
+
+// ============================================
+// EXACT ARITHMETIC
+// ============================================
+
+// Grade points are exact fractions (B+ = 10/3) and credits are whole halves, so grade
+// points, quality points and GPAs are kept as exact fractions { n, d } (d > 0, reduced).
+// Nothing is rounded until a value is displayed with formatFraction().
+
+/**
+ * Greatest common divisor of two integers.
+ * @param {number} a - Integer
+ * @param {number} b - Integer
+ * @returns {number} Non-negative GCD
+ */
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Creates a reduced fraction.
+ * @param {number} n - Integer numerator
+ * @param {number} d - Integer denominator (non-zero)
+ * @returns {{ n: number, d: number }} Fraction
+ */
+export function createFraction(n, d = 1) {
+    if (d === 0) {
+        throw new RangeError('Fraction denominator cannot be zero');
+    }
+    
+    const divisor = gcd(n, d) || 1;
+    const sign = d < 0 ? -1 : 1;
+    return { n: sign * n / divisor + 0, d: sign * d / divisor };
+}
+
+/**
+ * Converts a number (e.g. 3.5 credits or a 3.25 CGPA) or a fraction to a fraction.
+ * Numbers are read to 6 decimal places, which covers every value typed into the form.
+ * @param {number|{ n: number, d: number }} value - Number or fraction
+ * @returns {{ n: number, d: number }} Fraction
+ */
+export function toFraction(value) {
+    if (typeof value === 'object' && value !== null) {
+        return value;
+    }
+    
+    const SCALE = 1000000;
+    return createFraction(Math.round(value * SCALE), SCALE);
+}
+
+/**
+ * Adds two fractions (or numbers).
+ * @returns {{ n: number, d: number }} a + b
+ */
+export function addFractions(a, b) {
+    a = toFraction(a);
+    b = toFraction(b);
+    return createFraction(a.n * b.d + b.n * a.d, a.d * b.d);
+}
+
+/**
+ * Subtracts two fractions (or numbers).
+ * @returns {{ n: number, d: number }} a − b
+ */
+export function subtractFractions(a, b) {
+    b = toFraction(b);
+    return addFractions(a, { n: -b.n, d: b.d });
+}
+
+/**
+ * Multiplies two fractions (or numbers).
+ * @returns {{ n: number, d: number }} a × b
+ */
+export function multiplyFractions(a, b) {
+    a = toFraction(a);
+    b = toFraction(b);
+    return createFraction(a.n * b.n, a.d * b.d);
+}
+
+/**
+ * Divides two fractions (or numbers).
+ * @returns {{ n: number, d: number }} a ÷ b
+ */
+export function divideFractions(a, b) {
+    a = toFraction(a);
+    b = toFraction(b);
+    return createFraction(a.n * b.d, a.d * b.n);
+}
+
+/**
+ * Compares two fractions (or numbers).
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareFractions(a, b) {
+    a = toFraction(a);
+    b = toFraction(b);
+    return Math.sign(a.n * b.d - b.n * a.d);
+}
+
+/**
+ * Converts a fraction to a (possibly inexact) number, e.g. for sorting or charts.
+ * @param {{ n: number, d: number }} fraction - Fraction
+ * @returns {number} Decimal value
+ */
+export function fractionToNumber(fraction) {
+    return fraction.n / fraction.d;
+}
+
+/**
+ * Formats a fraction with a fixed number of decimals.
+ * 
+ * Rounding policy: values are rounded half away from zero on the exact fraction,
+ * so 2.145 shows as 2.15 and 19⅓ ÷ 9 = 2.1481… shows as 2.15 at two decimals.
+ * Nothing is truncated, and no rounded value is fed back into a calculation.
+ * 
+ * @param {{ n: number, d: number }|number} value - Fraction (or number)
+ * @param {number} digits - Number of decimals
+ * @returns {string} Formatted value
+ */
+export function formatFraction(value, digits = 2) {
+    const { n, d } = toFraction(value);
+    const scale = 10 ** digits;
+    const scaled = Math.floor((2 * Math.abs(n) * scale + d) / (2 * d));
+    const sign = n < 0 && scaled > 0 ? '-' : '';
+    const whole = Math.floor(scaled / scale);
+    const decimals = String(scaled % scale).padStart(digits, '0');
+    
+    return digits > 0 ? `${sign}${whole}.${decimals}` : `${sign}${whole}`;
+}
+
+// ============================================
+// GRADING SCHEMES
+// ============================================
+
+/**
+ * Built-in grading schemes; the first one is the default.
+ * 
+ * Grades are listed from highest to lowest, each with its points (a number or an exact
+ * "n/d" string) and the lowest numeric score that earns it. `repeatCap` is the highest
+ * letter a repeated course can count (null for no cap) and `excludedStatuses` are the
+ * withdrawal statuses (W, WP, WF) left out of the GPA; the others count as the lowest grade.
+ * `standing` holds the academic-standing rules (DEFAULT_STANDING_RULES when omitted).
+ * Imported JSON schemes use the same shape.
+ */
+const GRADING_SCHEME_DEFINITIONS = [
+    {
+        id: 'zc-fall24',
+        name: 'Zewail City (Fall 24)',
+        // PDF Grade Mapping (Orientation Session Fall 24) - exact thirds
+        // Example: 3 credits × B+ (10/3) = 10 QP exactly, not 9.99
+        grades: [
+            { letter: 'A',  points: 4,      minScore: 95 },
+            { letter: 'A-', points: '11/3', minScore: 90 },
+            { letter: 'B+', points: '10/3', minScore: 85 },
+            { letter: 'B',  points: 3,      minScore: 80 },
+            { letter: 'B-', points: '8/3',  minScore: 75 },
+            { letter: 'C+', points: '7/3',  minScore: 70 },
+            { letter: 'C',  points: 2,      minScore: 65 },
+            { letter: 'C-', points: '5/3',  minScore: 60 },
+            { letter: 'F',  points: 0,      minScore: 0 }
+        ],
+        repeatCap: 'B+',  // PDF Rule: max B+ for repeated courses
+        excludedStatuses: ['W', 'WP', 'WF']
+    },
+    {
+        id: 'standard-4-d',
+        name: 'Standard 4.0 (with D+/D)',
+        grades: [
+            { letter: 'A',  points: 4,   minScore: 93 },
+            { letter: 'A-', points: 3.7, minScore: 90 },
+            { letter: 'B+', points: 3.3, minScore: 87 },
+            { letter: 'B',  points: 3,   minScore: 83 },
+            { letter: 'B-', points: 2.7, minScore: 80 },
+            { letter: 'C+', points: 2.3, minScore: 77 },
+            { letter: 'C',  points: 2,   minScore: 73 },
+            { letter: 'C-', points: 1.7, minScore: 70 },
+            { letter: 'D+', points: 1.3, minScore: 67 },
+            { letter: 'D',  points: 1,   minScore: 60 },
+            { letter: 'F',  points: 0,   minScore: 0 }
+        ],
+        repeatCap: null,
+        excludedStatuses: ['W', 'WP']  // WF counts as F
+    }
+];
+
+/**
+ * Academic-standing rules used when a scheme does not define its own `standing`.
+ * These are common defaults; import a scheme with a `standing` block to match your catalog.
+ * GPAs are numbers or exact "n/d" strings; honors bands are listed from highest to lowest.
+ */
+export const DEFAULT_STANDING_RULES = {
+    probationCGPABelow: 2,
+    warningTermGPABelow: 2,
+    deansList: { minTermGPA: 3.5, minCredits: 12 },
+    graduationHonors: [
+        { name: 'Highest Honors', minCGPA: 3.8 },
+        { name: 'High Honors', minCGPA: 3.5 },
+        { name: 'Honors', minCGPA: 3.2 }
+    ]
+};
+
+/**
+ * Parses grade points written as a number, a decimal string or an "n/d" fraction string.
+ * @param {number|string} value - Points as written in a scheme definition
+ * @returns {{ n: number, d: number }|null} Exact points, or null if invalid
+ */
+export function parseGradePoints(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) && value >= 0 ? toFraction(value) : null;
+    }
+    
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?$/);
+    if (!match || match[2] === '0') return null;
+    
+    const points = toFraction(Number(match[1]));
+    return match[2] ? divideFractions(points, Number(match[2])) : points;
+}
+
+/**
+ * Validates a grading scheme definition and converts its points to exact fractions.
+ * @param {Object} data - Scheme definition (built-in or imported JSON)
+ * @returns {{ scheme: Object|null, errors: Array }} Normalized scheme, or null and the error messages
+ */
+export function normalizeGradingScheme(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { scheme: null, errors: ['The grading scheme must be a JSON object.'] };
+    }
+    
+    const errors = [];
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        errors.push('The grading scheme needs a "name".');
+    }
+    
+    if (!Array.isArray(data.grades) || data.grades.length < 2) {
+        errors.push('The grading scheme needs a "grades" list with at least two grades.');
+        return { scheme: null, errors };
+    }
+    
+    const errorCount = errors.length;
+    const grades = data.grades.map((grade, index) => {
+        const num = index + 1;
+        const letter = typeof grade?.letter === 'string' ? grade.letter.trim() : '';
+        const point = parseGradePoints(grade?.points);
+        const minScore = grade?.minScore;
+        
+        if (!/^[A-Za-z][A-Za-z0-9+-]{0,3}$/.test(letter)) {
+            errors.push(`Grade ${num}: "letter" must be 1-4 characters starting with a letter (e.g., "B+").`);
+        }
+        if (!point) {
+            errors.push(`Grade ${num}: "points" must be 0 or more, as a number or a fraction like "10/3".`);
+        }
+        if (typeof minScore !== 'number' || isNaN(minScore) || minScore < 0 || minScore > 100) {
+            errors.push(`Grade ${num}: "minScore" must be a number between 0 and 100.`);
+        }
+        
+        return { letter, point, minScore };
+    });
+    
+    if (errors.length > errorCount) {
+        return { scheme: null, errors };
+    }
+    
+    // Highest grade first: letters unique, points and minimum scores strictly decreasing
+    grades.forEach((grade, index) => {
+        if (index === 0) return;
+        const higher = grades[index - 1];
+        
+        if (grades.slice(0, index).some(g => g.letter === grade.letter)) {
+            errors.push(`Grade ${index + 1}: "${grade.letter}" is listed more than once.`);
+        }
+        if (compareFractions(grade.point, higher.point) >= 0) {
+            errors.push(`Grade ${index + 1}: ${grade.letter} must be worth fewer points than ${higher.letter}.`);
+        }
+        if (grade.minScore >= higher.minScore) {
+            errors.push(`Grade ${index + 1}: ${grade.letter} must have a lower minimum score than ${higher.letter}.`);
+        }
+    });
+    
+    const lowest = grades[grades.length - 1];
+    if (lowest.minScore !== 0) {
+        errors.push(`The lowest grade (${lowest.letter}) must have a minimum score of 0 so every score maps to a grade.`);
+    }
+    
+    const repeatCap = data.repeatCap ?? null;
+    if (repeatCap !== null && !grades.some(g => g.letter === repeatCap)) {
+        errors.push('"repeatCap" must be one of the scheme\'s letters, or null for no cap.');
+    }
+    
+    const excludedStatuses = data.excludedStatuses ?? [];
+    if (!Array.isArray(excludedStatuses) || excludedStatuses.some(s => typeof s !== 'string' || !s.trim())) {
+        errors.push('"excludedStatuses" must be a list of status names (e.g., ["W", "WP"]).');
+    }
+    
+    const standing = normalizeStandingRules(data.standing ?? DEFAULT_STANDING_RULES, grades[0].point, errors);
+    
+    if (errors.length > 0) {
+        return { scheme: null, errors };
+    }
+    
+    return {
+        scheme: {
+            id: typeof data.id === 'string' ? data.id : '',
+            name,
+            grades,
+            repeatCap,
+            excludedStatuses: excludedStatuses.map(s => s.trim()),
+            standing
+        },
+        errors: []
+    };
+}
+
+/**
+ * Validates a scheme's academic-standing rules and converts their GPAs to exact fractions.
+ * @param {Object} data - `standing` block of a scheme definition
+ * @param {{ n: number, d: number }} maxPoint - Top grade point of the scheme
+ * @param {Array} errors - Error messages are added here
+ * @returns {Object|null} Normalized rules, or null if invalid
+ */
+function normalizeStandingRules(data, maxPoint, errors) {
+    const errorCount = errors.length;
+    const parseGPA = (value, field) => {
+        const gpa = parseGradePoints(value);
+        if (!gpa || compareFractions(gpa, maxPoint) > 0) {
+            errors.push(`"standing.${field}" must be a GPA between 0 and ${formatFraction(maxPoint, 2)}.`);
+        }
+        return gpa;
+    };
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push('"standing" must be an object of academic-standing rules.');
+        return null;
+    }
+    
+    const minCredits = data.deansList?.minCredits;
+    if (typeof minCredits !== 'number' || isNaN(minCredits) || minCredits < 0) {
+        errors.push('"standing.deansList.minCredits" must be a number of credits (0 or more).');
+    }
+    
+    const honors = Array.isArray(data.graduationHonors) ? data.graduationHonors : null;
+    if (!honors) {
+        errors.push('"standing.graduationHonors" must be a list of { name, minCGPA } bands (it can be empty).');
+    }
+    
+    const rules = {
+        probationCGPABelow: parseGPA(data.probationCGPABelow, 'probationCGPABelow'),
+        warningTermGPABelow: parseGPA(data.warningTermGPABelow, 'warningTermGPABelow'),
+        deansList: { minTermGPA: parseGPA(data.deansList?.minTermGPA, 'deansList.minTermGPA'), minCredits },
+        graduationHonors: (honors ?? []).map((band, index) => {
+            const name = typeof band?.name === 'string' ? band.name.trim() : '';
+            if (!name) {
+                errors.push(`"standing.graduationHonors" band ${index + 1} needs a "name".`);
+            }
+            return { name, minCGPA: parseGPA(band?.minCGPA, `graduationHonors[${index}].minCGPA`) };
+        })
+    };
+    
+    if (errors.length > errorCount) {
+        return null;
+    }
+    
+    rules.graduationHonors.forEach((band, index) => {
+        const higher = rules.graduationHonors[index - 1];
+        if (higher && compareFractions(band.minCGPA, higher.minCGPA) >= 0) {
+            errors.push(`"standing.graduationHonors": ${band.name} must need a lower CGPA than ${higher.name}.`);
+        }
+    });
+    
+    return errors.length > errorCount ? null : rules;
+}
+
+/**
+ * Writes an exact value as a plain number when it has a finite decimal form, otherwise as "n/d".
+ * @param {{ n: number, d: number }} fraction - Exact value
+ * @returns {number|string} JSON value
+ */
+export function serializeFraction({ n, d }) {
+    let rest = d;
+    while (rest % 2 === 0) rest /= 2;
+    while (rest % 5 === 0) rest /= 5;
+    return rest === 1 ? n / d : `${n}/${d}`;
+}
+
+/**
+ * Converts a normalized scheme back to its JSON definition, with exact "n/d" points where needed.
+ * @param {Object} scheme - Normalized grading scheme
+ * @returns {Object} Scheme definition
+ */
+export function serializeGradingScheme(scheme) {
+    const { standing } = scheme;
+    
+    return {
+        id: scheme.id,
+        name: scheme.name,
+        grades: scheme.grades.map(({ letter, point, minScore }) => ({
+            letter,
+            points: serializeFraction(point),
+            minScore
+        })),
+        repeatCap: scheme.repeatCap,
+        excludedStatuses: [...scheme.excludedStatuses],
+        standing: {
+            probationCGPABelow: serializeFraction(standing.probationCGPABelow),
+            warningTermGPABelow: serializeFraction(standing.warningTermGPABelow),
+            deansList: {
+                minTermGPA: serializeFraction(standing.deansList.minTermGPA),
+                minCredits: standing.deansList.minCredits
+            },
+            graduationHonors: standing.graduationHonors.map(band => ({
+                name: band.name,
+                minCGPA: serializeFraction(band.minCGPA)
+            }))
+        }
+    };
+}
+
+export const BUILT_IN_SCHEMES = GRADING_SCHEME_DEFINITIONS.map(definition => ({
+    ...normalizeGradingScheme(definition).scheme,
+    builtIn: true
+}));
+
+/**
+ * The default grading scheme (Zewail City, Fall 24), used when no scheme is passed.
+ */
+export const DEFAULT_SCHEME = BUILT_IN_SCHEMES[0];
+
+/**
+ * Returns the highest grade point of a scheme, i.e. the top of its GPA scale.
+ * @param {Object} scheme - Normalized grading scheme
+ * @returns {{ n: number, d: number }} Exact grade point
+ */
+export function getMaxGradePoint(scheme = DEFAULT_SCHEME) {
+    return scheme.grades[0].point;
+}
+
+// ============================================
+// GRADE MAPPING
+// ============================================
+
+/**
+ * Maps a numeric score (0-100) to a grade point using the scheme's score thresholds.
+ * @param {number} score - Numeric score between 0 and 100
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ letter: string, point: { n: number, d: number } }} Grade letter and exact point value
+ */
+export function mapNumericToGradePoint(score, scheme = DEFAULT_SCHEME) {
+    // Validate input
+    if (typeof score !== 'number' || isNaN(score)) {
+        return { letter: 'Invalid', point: createFraction(0) };
+    }
+    
+    // Clamp score to valid range
+    score = Math.max(0, Math.min(100, score));
+    
+    // The lowest grade starts at 0, so every score finds a grade
+    const grade = scheme.grades.find(g => score >= g.minScore);
+    return { letter: grade.letter, point: grade.point };
+}
+
+/**
+ * Maps a letter grade to its grade point value.
+ * @param {string} letter - Letter grade from the scheme
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ n: number, d: number }} Exact grade point value (0 for unknown letters)
+ */
+export function mapLetterToGradePoint(letter, scheme = DEFAULT_SCHEME) {
+    return scheme.grades.find(g => g.letter === letter)?.point ?? createFraction(0);
+}
+
+/**
+ * Checks whether a letter grade exists in a scheme.
+ * @param {string} letter - Letter grade
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {boolean} True if the scheme has this letter
+ */
+export function isSchemeLetter(letter, scheme = DEFAULT_SCHEME) {
+    return scheme.grades.some(g => g.letter === letter);
+}
+
+/**
+ * Gets the letter grade from a grade point value (the highest letter it reaches).
+ * @param {{ n: number, d: number }|number} point - Grade point value
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {string} Letter grade
+ */
+export function getLetterFromPoint(point, scheme = DEFAULT_SCHEME) {
+    const grade = scheme.grades.find(g => compareFractions(point, g.point) >= 0);
+    return (grade ?? scheme.grades[scheme.grades.length - 1]).letter;
+}
+
+// ============================================
+// GPA CALCULATION FUNCTIONS
+// ============================================
+
+/**
+ * Course statuses, in menu order. `attempted` and `earned` say whether the course's credits
+ * count as attempted and earned; 'passing' means earned unless the grade is the scheme's
+ * lowest. Only graded courses count in the GPA, plus withdrawals (`withdrawal: true`) that
+ * the scheme does not list in `excludedStatuses`, which count as the lowest grade (WF as F).
+ */
+export const COURSE_STATUSES = [
+    { code: 'graded', label: 'Graded', attempted: true, earned: 'passing' },
+    { code: 'W', label: 'W (Withdrawn)', attempted: true, earned: false, withdrawal: true },
+    { code: 'WP', label: 'WP (Withdrawn Passing)', attempted: true, earned: false, withdrawal: true },
+    { code: 'WF', label: 'WF (Withdrawn Failing)', attempted: true, earned: false, withdrawal: true },
+    { code: 'I', label: 'I (Incomplete)', attempted: true, earned: false },
+    { code: 'P', label: 'P (Pass)', attempted: true, earned: true },
+    { code: 'NP', label: 'NP (Fail, Pass/Fail)', attempted: true, earned: false },
+    { code: 'TR', label: 'TR (Transfer)', attempted: false, earned: true },
+    { code: 'Drop', label: 'Drop', attempted: false, earned: false }
+];
+
+/**
+ * Finds a course status by code, defaulting to Graded.
+ * @param {string} code - Status code
+ * @returns {Object} Course status
+ */
+export function getCourseStatus(code) {
+    return COURSE_STATUSES.find(s => s.code === code) ?? COURSE_STATUSES[0];
+}
+
+/**
+ * Works out how a course status counts under a grading scheme.
+ * @param {string} code - Status code
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ countsInGPA: boolean, countsAsLowest: boolean, attempted: boolean, earned: boolean|string }}
+ */
+export function getStatusEffect(code, scheme = DEFAULT_SCHEME) {
+    const status = getCourseStatus(code);
+    const countsAsLowest = Boolean(status.withdrawal) && !scheme.excludedStatuses.includes(status.code);
+    
+    return {
+        countsInGPA: status.code === 'graded' || countsAsLowest,
+        countsAsLowest,
+        attempted: status.attempted,
+        earned: countsAsLowest ? false : status.earned
+    };
+}
+
+/**
+ * Computes the Term GPA from an array of course data.
+ * Formula: Term GPA = Σ(Quality Points) / Σ(Credit Hours)
+ * 
+ * Each course's `status` (see COURSE_STATUSES) decides whether it counts in the GPA and
+ * in the attempted/earned credit totals; processed courses get `excluded` (not in the GPA)
+ * and `earned`. `totalCredits` are the GPA credits.
+ * 
+ * Repeated courses above the scheme's repeat cap get the capped `letter` and grade point,
+ * `wasCapped: true`, and keep the grade that was entered in `enteredLetter`.
+ * 
+ * Repeated courses may carry a `previousAttempt` ({ letter, gradePoint, credits }).
+ * The term GPA still counts the new attempt; the earlier attempt is only totalled
+ * in `replacedCredits`/`replacedQualityPoints` so computeNewCGPA can remove it.
+ * 
+ * Grade points, quality points and the GPA are exact fractions; credits are numbers.
+ * 
+ * @param {Array} courseRows - Array of course objects
+ * @param {Object} scheme - Grading scheme whose repeat cap and withdrawal policy apply (defaults to DEFAULT_SCHEME)
+ * @returns {{ gpa: Object, totalCredits: number, totalQualityPoints: Object, attemptedCredits: number, earnedCredits: number, replacedCredits: number, replacedQualityPoints: Object, courses: Array }}
+ */
+export function computeTermGPA(courseRows, scheme = DEFAULT_SCHEME) {
+    const repeatCap = scheme.repeatCap ? mapLetterToGradePoint(scheme.repeatCap, scheme) : null;
+    const lowest = scheme.grades[scheme.grades.length - 1];
+    let totalCredits = 0;
+    let totalQualityPoints = createFraction(0);
+    let attemptedCredits = 0;
+    let earnedCredits = 0;
+    let replacedCredits = 0;
+    let replacedQualityPoints = createFraction(0);
+    const processedCourses = [];
+    
+    for (const course of courseRows) {
+        const effect = getStatusEffect(course.status, scheme);
+        if (effect.attempted) {
+            attemptedCredits += course.credits;
+        }
+        
+        // Skip courses outside the GPA (W, WP, I, P, NP, Transfer, Drop); they only add credits
+        if (!effect.countsInGPA) {
+            if (effect.earned === true) {
+                earnedCredits += course.credits;
+            }
+            processedCourses.push({
+                ...course,
+                excluded: true,
+                earned: effect.earned === true,
+                qualityPoints: createFraction(0),
+                replacedAttempt: null
+            });
+            continue;
+        }
+        
+        // Get grade point (withdrawals the scheme counts, e.g. WF, take the lowest grade)
+        let gradePoint = effect.countsAsLowest ? lowest.point : course.gradePoint;
+        let letter = effect.countsAsLowest ? lowest.letter : course.letter;
+        let wasCapped = false;
+        
+        // Apply the scheme's repeated course cap (Fall 24: max B+)
+        if (course.repeated && repeatCap && compareFractions(gradePoint, repeatCap) > 0) {
+            gradePoint = repeatCap;
+            letter = scheme.repeatCap;
+            wasCapped = true;
+        }
+        
+        // Calculate quality points: Credit Hours × Grade Point
+        const qualityPoints = multiplyFractions(course.credits, gradePoint);
+        
+        // Accumulate totals
+        const earned = effect.earned === 'passing' && letter !== lowest.letter;
+        totalCredits += course.credits;
+        totalQualityPoints = addFractions(totalQualityPoints, qualityPoints);
+        if (earned) {
+            earnedCredits += course.credits;
+        }
+        
+        // The earlier attempt of a repeated course is replaced by this one (not by a withdrawal)
+        let replacedAttempt = null;
+        if (course.repeated && course.previousAttempt && !effect.countsAsLowest) {
+            const attempt = course.previousAttempt;
+            replacedAttempt = {
+                ...attempt,
+                qualityPoints: multiplyFractions(attempt.credits, attempt.gradePoint)
+            };
+            replacedCredits += replacedAttempt.credits;
+            replacedQualityPoints = addFractions(replacedQualityPoints, replacedAttempt.qualityPoints);
+        }
+        
+        processedCourses.push({
+            ...course,
+            excluded: false,
+            earned,
+            gradePoint,
+            letter,
+            enteredLetter: course.letter,
+            qualityPoints,
+            wasCapped,
+            replacedAttempt
+        });
+    }
+    
+    // Calculate GPA (avoid division by zero)
+    const gpa = totalCredits > 0 ? divideFractions(totalQualityPoints, totalCredits) : createFraction(0);
+    
+    return {
+        gpa,
+        totalCredits,
+        totalQualityPoints,
+        attemptedCredits,
+        earnedCredits,
+        replacedCredits,
+        replacedQualityPoints,
+        courses: processedCourses
+    };
+}
+
+/**
+ * Computes the new Cumulative GPA.
+ * Formula: CGPA = (Previous QP - Replaced QP + Current QP) / (Previous Credits - Replaced Credits + Current Credits)
+ * 
+ * Quality points and GPAs are exact fractions; numbers are accepted and converted.
+ * 
+ * @param {number|Object} prevCGPA - Previous cumulative GPA (0-4)
+ * @param {number} prevCredits - Previous total credit hours
+ * @param {number|Object} termQualityPoints - Current term quality points
+ * @param {number} termCredits - Current term credit hours
+ * @param {number|Object|null} prevQualityPoints - Optional: explicit previous quality points
+ * @param {{ credits: number, qualityPoints: number|Object }|null} replaced - Optional: earlier attempts of
+ *        repeated courses to remove from the previous record (see computeTermGPA)
+ * @returns {{ cgpa: Object, totalCredits: number, totalQualityPoints: Object, prevQualityPoints: Object, replacedCredits: number, replacedQualityPoints: Object }}
+ */
+export function computeNewCGPA(prevCGPA, prevCredits, termQualityPoints, termCredits, prevQualityPoints = null, replaced = null) {
+    // Calculate previous quality points
+    // If explicit quality points provided, use those; otherwise calculate from CGPA
+    const calculatedPrevQP = prevQualityPoints !== null 
+        ? toFraction(prevQualityPoints) 
+        : multiplyFractions(prevCGPA, prevCredits);
+    
+    // Remove replaced attempts before adding the new term
+    const replacedCredits = replaced ? replaced.credits : 0;
+    const replacedQualityPoints = toFraction(replaced ? replaced.qualityPoints : 0);
+    
+    // Calculate new totals
+    const newTotalQualityPoints = addFractions(subtractFractions(calculatedPrevQP, replacedQualityPoints), termQualityPoints);
+    const newTotalCredits = prevCredits - replacedCredits + termCredits;
+    
+    // Calculate new CGPA (avoid division by zero)
+    const cgpa = newTotalCredits > 0 ? divideFractions(newTotalQualityPoints, newTotalCredits) : createFraction(0);
+    
+    return {
+        cgpa,
+        totalCredits: newTotalCredits,
+        totalQualityPoints: newTotalQualityPoints,
+        prevQualityPoints: calculatedPrevQP,
+        replacedCredits,
+        replacedQualityPoints
+    };
+}
+
+/**
+ * Returns the key used to match attempts of the same course across semesters.
+ * @param {string} name - Course name
+ * @returns {string} Normalized course key
+ */
+export function getCourseKey(name) {
+    return name.trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Computes each semester's term GPA and the running CGPA after it.
+ * Quality points are carried forward exactly instead of being rebuilt from a rounded CGPA.
+ * 
+ * A repeated course replaces the latest earlier attempt with the same name: the earlier
+ * attempt keeps counting in its own term GPA but is removed from the CGPA from then on,
+ * and is flagged with `replaced: true`. A replaced attempt no longer adds earned credits.
+ * 
+ * @param {Array} semesters - Array of { name, courses } in chronological order
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ semesters: Array, cgpa: Object, totalCredits: number, totalQualityPoints: Object, attemptedCredits: number, earnedCredits: number }}
+ */
+export function computeTranscript(semesters, scheme = DEFAULT_SCHEME) {
+    let cumulative = { cgpa: createFraction(0), totalCredits: 0, totalQualityPoints: createFraction(0) };
+    let attemptedCredits = 0;
+    let earnedCredits = 0;
+    const latestAttempts = new Map();  // Course key → latest counted attempt
+    
+    const processedSemesters = semesters.map(semester => {
+        // Link repeated courses to their earlier attempt in the transcript
+        const courses = semester.courses.map(course => {
+            const earlier = course.repeated ? latestAttempts.get(getCourseKey(course.name)) : null;
+            return {
+                ...course,
+                previousAttempt: earlier
+                    ? { letter: earlier.letter, gradePoint: earlier.gradePoint, credits: earlier.credits }
+                    : null
+            };
+        });
+        
+        const termResult = computeTermGPA(courses, scheme);
+        attemptedCredits += termResult.attemptedCredits;
+        earnedCredits += termResult.earnedCredits;
+        
+        termResult.courses.forEach(course => {
+            if (course.excluded) return;
+            
+            const key = getCourseKey(course.name);
+            if (course.replacedAttempt) {
+                const earlier = latestAttempts.get(key);
+                earlier.replaced = true;
+                if (earlier.earned) {
+                    earnedCredits -= earlier.credits;
+                }
+            }
+            latestAttempts.set(key, course);
+        });
+        
+        cumulative = computeNewCGPA(
+            cumulative.cgpa,
+            cumulative.totalCredits,
+            termResult.totalQualityPoints,
+            termResult.totalCredits,
+            cumulative.totalQualityPoints,
+            { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+        );
+        
+        return {
+            name: semester.name,
+            termResult,
+            cgpa: cumulative.cgpa,
+            totalCredits: cumulative.totalCredits,
+            totalQualityPoints: cumulative.totalQualityPoints,
+            attemptedCredits,
+            earnedCredits
+        };
+    });
+    
+    return {
+        semesters: processedSemesters,
+        cgpa: cumulative.cgpa,
+        totalCredits: cumulative.totalCredits,
+        totalQualityPoints: cumulative.totalQualityPoints,
+        attemptedCredits,
+        earnedCredits
+    };
+}
+
+// ============================================
+// GPA HISTORY
+// ============================================
+
+/**
+ * Collects the per-semester figures of a transcript for charting its GPA history.
+ * @param {Object} transcript - Result of computeTranscript
+ * @returns {Array} Array of { name, termGPA, cgpa, credits } in order; credits are the term's GPA credits, GPAs are fractions (null when no credits count yet)
+ */
+export function getGPAHistory(transcript) {
+    return transcript.semesters.map(semester => ({
+        name: semester.name,
+        termGPA: semester.termResult.totalCredits > 0 ? semester.termResult.gpa : null,
+        cgpa: semester.totalCredits > 0 ? semester.cgpa : null,
+        credits: semester.termResult.totalCredits
+    }));
+}
+
+/**
+ * Counts the grades of the courses in the GPA by letter, in the scheme's order. Capped
+ * grades count as the capped letter, and statuses graded as the lowest grade (e.g. WF)
+ * count as that grade.
+ * @param {Array} termResults - Results of computeTermGPA
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of { letter, count, credits }, one per grade of the scheme
+ */
+export function computeGradeDistribution(termResults, scheme = DEFAULT_SCHEME) {
+    const distribution = scheme.grades.map(grade => ({ letter: grade.letter, count: 0, credits: 0 }));
+    
+    termResults.forEach(termResult => {
+        termResult.courses.forEach(course => {
+            const entry = !course.excluded && distribution.find(d => d.letter === course.letter);
+            if (entry) {
+                entry.count++;
+                entry.credits += course.credits;
+            }
+        });
+    });
+    
+    return distribution;
+}
+
+// ============================================
+// TARGET GPA SOLVER
+// ============================================
+
+/**
+ * Works out what grades are needed on ungraded courses to reach a target GPA.
+ * Ungraded courses (`hasGrade: false`) count with their credits but no quality points,
+ * so the required quality points on them are: Target × Total Credits − Known QP.
+ * 
+ * @param {Object} options
+ * @param {string} options.targetType - 'cgpa' or 'term'
+ * @param {number} options.target - Target GPA (0-4)
+ * @param {Array} options.courses - Course objects, ungraded ones with `hasGrade: false`
+ * @param {number} options.prevCGPA - Previous CGPA (CGPA targets only)
+ * @param {number} options.prevCredits - Previous total credits (CGPA targets only)
+ * @param {Object} options.scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ status: string, target: number, targetType: string, remainingCredits: number, requiredQualityPoints: Object, requiredAverage: Object|null, uniformLetter: string|null, bestGPA: Object, worstGPA: Object, remaining: Array, combinations: Array }}
+ *          status is 'achieved', 'reachable', 'unreachable' or 'no-credits'; quality points and GPAs are exact fractions
+ */
+export function solveTargetGPA({ targetType, target, courses, prevCGPA = 0, prevCredits = 0, scheme = DEFAULT_SCHEME }) {
+    const counted = courses.filter(c => !c.excluded);
+    const remaining = counted.filter(c => !c.hasGrade);
+    
+    // Known totals, with ungraded courses contributing credits only
+    const lowest = scheme.grades[scheme.grades.length - 1];
+    const termResult = computeTermGPA(counted.map(c => (c.hasGrade ? c : { ...c, gradePoint: createFraction(0), letter: lowest.letter })), scheme);
+    let totalCredits = termResult.totalCredits;
+    let baseQualityPoints = termResult.totalQualityPoints;
+    
+    if (targetType === 'cgpa') {
+        const cgpaResult = computeNewCGPA(
+            prevCGPA,
+            prevCredits,
+            termResult.totalQualityPoints,
+            termResult.totalCredits,
+            null,
+            { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+        );
+        totalCredits = cgpaResult.totalCredits;
+        baseQualityPoints = cgpaResult.totalQualityPoints;
+    }
+    
+    // Grades each remaining course can still get (repeated courses stop at the repeat cap)
+    const repeatCap = scheme.repeatCap ? mapLetterToGradePoint(scheme.repeatCap, scheme) : null;
+    const isAllowed = (course, point) => !course.repeated || !repeatCap || compareFractions(point, repeatCap) <= 0;
+    const options = remaining.map(course => scheme.grades
+        .map(({ letter, point }) => ({ letter, point }))
+        .filter(grade => isAllowed(course, grade.point))
+        .reverse());  // Lowest grade first
+    
+    const remainingCredits = remaining.reduce((sum, c) => sum + c.credits, 0);
+    const maxQualityPoints = remaining.reduce((sum, c, i) =>
+        addFractions(sum, multiplyFractions(c.credits, options[i][options[i].length - 1].point)), createFraction(0));
+    const requiredQualityPoints = subtractFractions(multiplyFractions(target, totalCredits), baseQualityPoints);
+    const gpaWith = qualityPoints => (totalCredits > 0
+        ? divideFractions(addFractions(baseQualityPoints, qualityPoints), totalCredits)
+        : createFraction(0));
+    
+    let status = 'reachable';
+    if (totalCredits === 0) {
+        status = 'no-credits';
+    } else if (compareFractions(requiredQualityPoints, 0) <= 0) {
+        status = 'achieved';
+    } else if (compareFractions(requiredQualityPoints, maxQualityPoints) > 0) {
+        status = 'unreachable';
+    }
+    
+    const requiredAverage = remainingCredits > 0 ? divideFractions(requiredQualityPoints, remainingCredits) : null;
+    
+    // Lowest single letter that reaches the target if earned in every remaining course
+    const uniformLetter = status === 'reachable'
+        ? [...scheme.grades].reverse().find(({ point }) => {
+            const qualityPoints = remaining.reduce((sum, c) => {
+                const earned = isAllowed(c, point) ? point : repeatCap;
+                return addFractions(sum, multiplyFractions(c.credits, earned));
+            }, createFraction(0));
+            return compareFractions(qualityPoints, requiredQualityPoints) >= 0;
+        })?.letter ?? null
+        : null;
+    
+    const combinations = status === 'reachable'
+        ? findGradeCombinations(remaining, options, requiredQualityPoints).map(combo => ({
+            ...combo,
+            gpa: gpaWith(combo.qualityPoints)
+        }))
+        : [];
+    
+    return {
+        status,
+        target,
+        targetType,
+        remainingCredits,
+        requiredQualityPoints,
+        requiredAverage,
+        uniformLetter,
+        bestGPA: gpaWith(maxQualityPoints),
+        worstGPA: gpaWith(createFraction(0)),
+        remaining,
+        combinations
+    };
+}
+
+/**
+ * Finds minimal letter-grade combinations for the remaining courses that earn at least
+ * the required quality points. A combination is minimal when lowering any single course
+ * by one letter step would miss the target.
+ * 
+ * @param {Array} courses - Remaining course objects
+ * @param {Array} options - Per course, the allowed { letter, point } grades, lowest first
+ * @param {Object} requiredQualityPoints - Quality points needed on these courses (fraction)
+ * @param {number} limit - Maximum number of combinations to return
+ * @returns {Array} Array of { grades: Array<{ letter, point }>, qualityPoints }
+ */
+function findGradeCombinations(courses, options, requiredQualityPoints, limit = 6) {
+    const MAX_FOUND = 200;
+    const MAX_VISITS = 100000;
+    const earned = (i, point) => multiplyFractions(courses[i].credits, point);
+    
+    // Best quality points still available from course i onward
+    const maxFrom = new Array(courses.length + 1).fill(createFraction(0));
+    for (let i = courses.length - 1; i >= 0; i--) {
+        maxFrom[i] = addFractions(maxFrom[i + 1], earned(i, options[i][options[i].length - 1].point));
+    }
+    
+    const found = [];
+    const choice = [];
+    let visits = 0;
+    
+    const isMinimal = qualityPoints => choice.every((grade, i) => {
+        if (grade.index === 0) return true;
+        const step = subtractFractions(grade.point, options[i][grade.index - 1].point);
+        const lowered = subtractFractions(qualityPoints, earned(i, step));
+        return compareFractions(lowered, requiredQualityPoints) < 0;
+    });
+    
+    const search = (i, qualityPoints) => {
+        if (found.length >= MAX_FOUND || ++visits > MAX_VISITS) return;
+        if (compareFractions(addFractions(qualityPoints, maxFrom[i]), requiredQualityPoints) < 0) return;
+        
+        if (i === courses.length) {
+            if (isMinimal(qualityPoints)) {
+                found.push({ grades: choice.map(({ letter, point }) => ({ letter, point })), qualityPoints });
+            }
+            return;
+        }
+        
+        // Once the target is met, anything above the lowest grade is no longer minimal
+        const last = compareFractions(qualityPoints, requiredQualityPoints) >= 0 ? 0 : options[i].length - 1;
+        for (let index = 0; index <= last; index++) {
+            const grade = options[i][index];
+            choice[i] = { ...grade, index };
+            search(i + 1, addFractions(qualityPoints, earned(i, grade.point)));
+        }
+        choice.length = i;
+    };
+    
+    search(0, createFraction(0));
+    
+    // Prefer combinations whose hardest grade is lowest, then the least total effort
+    const hardest = combo => combo.grades.reduce((max, g) => (compareFractions(g.point, max) > 0 ? g.point : max), createFraction(0));
+    return found
+        .sort((a, b) => compareFractions(hardest(a), hardest(b)) || compareFractions(a.qualityPoints, b.qualityPoints))
+        .slice(0, limit);
+}
+
+// ============================================
+// WHAT-IF SCENARIOS
+// ============================================
+
+/**
+ * What-if scenarios, in display order. Each course can hold a candidate letter per scenario.
+ */
+export const SCENARIOS = [
+    { key: 'best', label: 'Best Case' },
+    { key: 'expected', label: 'Expected' },
+    { key: 'worst', label: 'Worst Case' }
+];
+
+/**
+ * Checks whether any course has a candidate grade for a scenario.
+ * @param {Array} courses - Course objects
+ * @returns {boolean} True if scenarios are in use
+ */
+export function hasScenarioGrades(courses) {
+    return courses.some(c => SCENARIOS.some(s => c.scenarioLetters?.[s.key]));
+}
+
+/**
+ * Computes every what-if scenario. In each scenario a course takes its candidate grade,
+ * falling back to its entered grade when no candidate is set.
+ * 
+ * @param {Array} courses - Course objects with `scenarioLetters`
+ * @param {{ prevCGPA: number, prevCredits: number }|null} previous - Previous record (CGPA mode)
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of { key, label, courses, termResult, cgpaResult, cgpaDelta } (cgpaDelta is a fraction)
+ */
+export function computeScenarios(courses, previous = null, scheme = DEFAULT_SCHEME) {
+    return SCENARIOS.map(scenario => {
+        const scenarioCourses = courses.map(course => {
+            const letter = course.scenarioLetters?.[scenario.key];
+            return letter
+                ? { ...course, letter, gradePoint: mapLetterToGradePoint(letter, scheme), score: null, hasGrade: true }
+                : course;
+        });
+        
+        const termResult = computeTermGPA(scenarioCourses, scheme);
+        let cgpaResult = null;
+        let cgpaDelta = null;
+        
+        if (previous) {
+            cgpaResult = computeNewCGPA(
+                previous.prevCGPA,
+                previous.prevCredits,
+                termResult.totalQualityPoints,
+                termResult.totalCredits,
+                null,
+                { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+            );
+            cgpaDelta = subtractFractions(cgpaResult.cgpa, previous.prevCGPA);
+        }
+        
+        return {
+            ...scenario,
+            courses: scenarioCourses,
+            termResult,
+            cgpaResult,
+            cgpaDelta
+        };
+    });
+}
+
+// ============================================
+// COURSE IMPACT
+// ============================================
+
+/**
+ * Measures how much each course in the GPA moves it: its share of the term GPA (and the
+ * CGPA), and the change if its grade were one letter step higher or lower. Shares add up
+ * to the GPA. Repeat caps still apply, so a step above the cap changes nothing; courses
+ * graded by their status (e.g. WF) have no letter steps.
+ * 
+ * The course whose one-step change moves the term GPA the most has the highest leverage:
+ * it is where extra study time pays off most.
+ * 
+ * @param {Array} courses - Course objects (see createCourseData)
+ * @param {{ prevCGPA: number, prevCredits: number }|null} previous - Previous record (CGPA mode)
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ courses: Array, highestLeverageId: number|null }} courses holds { id, name, credits, letter, termShare, cgpaShare, up, down, leverage } for each course in the GPA, where up/down are { letter, termDelta, cgpaDelta } or null; fractions throughout, cgpa values null without a previous record
+ */
+export function computeCourseImpact(courses, previous = null, scheme = DEFAULT_SCHEME) {
+    const zero = createFraction(0);
+    const abs = value => (compareFractions(value, 0) < 0 ? subtractFractions(zero, value) : value);
+    
+    const computeGPAs = rows => {
+        const termResult = computeTermGPA(rows, scheme);
+        const cgpaResult = previous && computeNewCGPA(
+            previous.prevCGPA, previous.prevCredits, termResult.totalQualityPoints, termResult.totalCredits, null,
+            { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+        );
+        return { termResult, cgpaResult };
+    };
+    
+    const base = computeGPAs(courses);
+    
+    // GPA change when one course takes another grade
+    const computeStep = (index, grade) => {
+        if (!grade) return null;
+        
+        const rows = courses.map((course, i) => (i === index
+            ? { ...course, gradeType: 'letter', letter: grade.letter, gradePoint: grade.point, score: null }
+            : course));
+        const { termResult, cgpaResult } = computeGPAs(rows);
+        
+        return {
+            letter: grade.letter,
+            termDelta: subtractFractions(termResult.gpa, base.termResult.gpa),
+            cgpaDelta: cgpaResult ? subtractFractions(cgpaResult.cgpa, base.cgpaResult.cgpa) : null
+        };
+    };
+    
+    const impacts = [];
+    base.termResult.courses.forEach((processed, index) => {
+        if (processed.excluded || processed.credits <= 0) return;
+        
+        // Steps start from the entered grade, before any repeat cap
+        const gradeIndex = processed.status === 'graded'
+            ? scheme.grades.findIndex(g => g.letter === courses[index].letter)
+            : -1;
+        const up = gradeIndex > 0 ? computeStep(index, scheme.grades[gradeIndex - 1]) : null;
+        const down = gradeIndex !== -1 ? computeStep(index, scheme.grades[gradeIndex + 1]) : null;
+        
+        const leverage = [up, down]
+            .filter(Boolean)
+            .map(step => abs(step.termDelta))
+            .reduce((max, delta) => (compareFractions(delta, max) > 0 ? delta : max), zero);
+        
+        impacts.push({
+            id: processed.id,
+            name: processed.name,
+            credits: processed.credits,
+            letter: processed.letter,
+            termShare: divideFractions(processed.qualityPoints, base.termResult.totalCredits),
+            cgpaShare: base.cgpaResult && base.cgpaResult.totalCredits > 0
+                ? divideFractions(processed.qualityPoints, base.cgpaResult.totalCredits)
+                : null,
+            up,
+            down,
+            leverage
+        });
+    });
+    
+    const highest = impacts.reduce((best, impact) =>
+        (compareFractions(impact.leverage, best ? best.leverage : zero) > 0 ? impact : best), null);
+    
+    return { courses: impacts, highestLeverageId: highest ? highest.id : null };
+}
+
+// ============================================
+// ACADEMIC STANDING
+// ============================================
+
+/**
+ * Classifies a result against the grading scheme's academic-standing rules, explaining
+ * which rule applied. Probation and graduation honors need the CGPA, so they are skipped
+ * (with a note) when only a term GPA is known.
+ * 
+ * @param {Object} options
+ * @param {Object|null} options.termResult - Latest term from computeTermGPA, or null
+ * @param {Object|null} options.cgpa - Cumulative GPA (fraction), or null in Term GPA mode
+ * @param {Object} options.scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of { key, level, title, explanation }; level is 'danger', 'warning', 'success' or 'info'
+ */
+export function evaluateStanding({ termResult = null, cgpa = null, scheme = DEFAULT_SCHEME }) {
+    const rules = scheme.standing;
+    const standing = [];
+    const hasTerm = termResult !== null && termResult.totalCredits > 0;
+    const termGPA = hasTerm ? formatFraction(termResult.gpa, 4) : '';
+    let onProbation = false;
+    
+    // Probation / good standing (cumulative)
+    if (cgpa !== null) {
+        const threshold = formatFraction(rules.probationCGPABelow, 2);
+        onProbation = compareFractions(cgpa, rules.probationCGPABelow) < 0;
+        standing.push(onProbation
+            ? {
+                key: 'probation',
+                level: 'danger',
+                title: 'Academic Probation',
+                explanation: `CGPA ${formatFraction(cgpa, 4)} is below the probation threshold of ${threshold}.`
+            }
+            : {
+                key: 'good-standing',
+                level: 'success',
+                title: 'Good Standing',
+                explanation: `CGPA ${formatFraction(cgpa, 4)} is at or above the probation threshold of ${threshold}.`
+            });
+    }
+    
+    // Warning: a weak term that has not (yet) led to probation
+    if (hasTerm && !onProbation && compareFractions(termResult.gpa, rules.warningTermGPABelow) < 0) {
+        standing.push({
+            key: 'warning',
+            level: 'warning',
+            title: 'Academic Warning',
+            explanation: `Term GPA ${termGPA} is below ${formatFraction(rules.warningTermGPABelow, 2)}${cgpa !== null ? ', although the CGPA is still above the probation threshold' : ''}.`
+        });
+    }
+    
+    // Dean's List: term GPA cutoff with a minimum load of GPA credits
+    const { minTermGPA, minCredits } = rules.deansList;
+    if (hasTerm && compareFractions(termResult.gpa, minTermGPA) >= 0) {
+        standing.push(termResult.totalCredits >= minCredits
+            ? {
+                key: 'deans-list',
+                level: 'success',
+                title: "Dean's List",
+                explanation: `Term GPA ${termGPA} is at least ${formatFraction(minTermGPA, 2)} with ${termResult.totalCredits} graded credits (minimum ${minCredits}).`
+            }
+            : {
+                key: 'deans-list-load',
+                level: 'info',
+                title: "Dean's List: Credit Load Too Low",
+                explanation: `Term GPA ${termGPA} meets the ${formatFraction(minTermGPA, 2)} cutoff, but only ${termResult.totalCredits} graded credits count in the GPA (minimum ${minCredits}).`
+            });
+    }
+    
+    // Graduation honors band (cumulative)
+    const bands = rules.graduationHonors;
+    if (cgpa !== null && bands.length > 0) {
+        const index = bands.findIndex(band => compareFractions(cgpa, band.minCGPA) >= 0);
+        const lowest = bands[bands.length - 1];
+        
+        if (index === -1) {
+            standing.push({
+                key: 'honors',
+                level: 'info',
+                title: 'Graduation Honors',
+                explanation: `CGPA ${formatFraction(cgpa, 4)} is below the ${formatFraction(lowest.minCGPA, 2)} needed for ${lowest.name}.`
+            });
+        } else {
+            const band = bands[index];
+            const range = index === 0
+                ? `${formatFraction(band.minCGPA, 2)} and above`
+                : `${formatFraction(band.minCGPA, 2)} up to ${formatFraction(bands[index - 1].minCGPA, 2)}`;
+            standing.push({
+                key: 'honors',
+                level: 'success',
+                title: `Graduation Honors: ${band.name}`,
+                explanation: `CGPA ${formatFraction(cgpa, 4)} is in the ${band.name} band (${range}) if it holds until graduation.`
+            });
+        }
+    }
+    
+    if (cgpa === null) {
+        standing.push({
+            key: 'needs-cgpa',
+            level: 'info',
+            title: 'Probation & Honors',
+            explanation: 'These depend on your CGPA. Use Cumulative GPA or Transcript mode to see them.'
+        });
+    }
+    
+    return standing;
+}
+
+// ============================================
+// COURSE CATALOG
+// ============================================
+
+export const CATALOG_CATEGORIES = {
+    core: 'Core',
+    'math-science': 'Math & Science',
+    elective: 'Elective',
+    'general-education': 'General Education'
+};
+
+/**
+ * Bundled CSAI degree-plan catalog. Each course has its code, title, credit hours,
+ * category (a CATALOG_CATEGORIES key) and the codes of its prerequisites.
+ * It is a starting point: check it against your official study plan and import an
+ * edited copy (same shape) where it differs.
+ */
+const CSAI_CATALOG_DEFINITION = {
+    name: 'CSAI Degree Plan',
+    courses: [
+        // General education
+        { code: 'ENGL 101', title: 'English for Academic Purposes I', credits: 3, category: 'general-education', prerequisites: [] },
+        { code: 'ENGL 102', title: 'English for Academic Purposes II', credits: 3, category: 'general-education', prerequisites: ['ENGL 101'] },
+        { code: 'ENGL 201', title: 'Technical Writing', credits: 3, category: 'general-education', prerequisites: ['ENGL 102'] },
+        { code: 'HUM 101', title: 'Critical Thinking', credits: 2, category: 'general-education', prerequisites: [] },
+        { code: 'HUM 102', title: 'Ethics of Science and Technology', credits: 2, category: 'general-education', prerequisites: [] },
+        { code: 'BUS 101', title: 'Entrepreneurship and Innovation', credits: 2, category: 'general-education', prerequisites: [] },
+        
+        // Math & science
+        { code: 'MATH 101', title: 'Calculus I', credits: 3, category: 'math-science', prerequisites: [] },
+        { code: 'MATH 102', title: 'Calculus II', credits: 3, category: 'math-science', prerequisites: ['MATH 101'] },
+        { code: 'MATH 105', title: 'Discrete Mathematics', credits: 3, category: 'math-science', prerequisites: [] },
+        { code: 'MATH 201', title: 'Linear Algebra', credits: 3, category: 'math-science', prerequisites: ['MATH 102'] },
+        { code: 'MATH 205', title: 'Probability and Statistics', credits: 3, category: 'math-science', prerequisites: ['MATH 102'] },
+        { code: 'PHYS 101', title: 'Physics I', credits: 4, category: 'math-science', prerequisites: [] },
+        { code: 'PHYS 102', title: 'Physics II', credits: 4, category: 'math-science', prerequisites: ['PHYS 101', 'MATH 101'] },
+        
+        // CSAI core
+        { code: 'CSAI 100', title: 'Introduction to Computational Sciences and AI', credits: 1, category: 'core', prerequisites: [] },
+        { code: 'CSAI 101', title: 'Introduction to Computer Science', credits: 3, category: 'core', prerequisites: [] },
+        { code: 'CSAI 151', title: 'Object-Oriented Programming', credits: 3, category: 'core', prerequisites: ['CSAI 101'] },
+        { code: 'CSAI 201', title: 'Data Structures and Algorithms', credits: 3, category: 'core', prerequisites: ['CSAI 151', 'MATH 105'] },
+        { code: 'CSAI 202', title: 'Introduction to Artificial Intelligence', credits: 3, category: 'core', prerequisites: ['CSAI 201'] },
+        { code: 'CSAI 203', title: 'Introduction to Software Engineering', credits: 3, category: 'core', prerequisites: ['CSAI 151'] },
+        { code: 'CSAI 204', title: 'Computer Architecture', credits: 3, category: 'core', prerequisites: ['CSAI 101'] },
+        { code: 'CSAI 205', title: 'Database Systems', credits: 3, category: 'core', prerequisites: ['CSAI 201'] },
+        { code: 'CSAI 253', title: 'Machine Learning', credits: 3, category: 'core', prerequisites: ['CSAI 202', 'MATH 201', 'MATH 205'] },
+        { code: 'CSAI 301', title: 'Operating Systems', credits: 3, category: 'core', prerequisites: ['CSAI 201', 'CSAI 204'] },
+        { code: 'CSAI 302', title: 'Design and Analysis of Algorithms', credits: 3, category: 'core', prerequisites: ['CSAI 201'] },
+        { code: 'CSAI 303', title: 'Computer Networks', credits: 3, category: 'core', prerequisites: ['CSAI 301'] },
+        { code: 'CSAI 304', title: 'Theory of Computation', credits: 3, category: 'core', prerequisites: ['MATH 105'] },
+        { code: 'CSAI 351', title: 'Deep Learning', credits: 3, category: 'core', prerequisites: ['CSAI 253'] },
+        { code: 'CSAI 497', title: 'Graduation Project I', credits: 3, category: 'core', prerequisites: ['CSAI 203'] },
+        { code: 'CSAI 498', title: 'Graduation Project II', credits: 3, category: 'core', prerequisites: ['CSAI 497'] },
+        
+        // Electives
+        { code: 'CSAI 352', title: 'Natural Language Processing', credits: 3, category: 'elective', prerequisites: ['CSAI 253'] },
+        { code: 'CSAI 353', title: 'Computer Vision', credits: 3, category: 'elective', prerequisites: ['CSAI 253'] },
+        { code: 'CSAI 354', title: 'Reinforcement Learning', credits: 3, category: 'elective', prerequisites: ['CSAI 253'] },
+        { code: 'CSAI 361', title: 'Cloud Computing', credits: 3, category: 'elective', prerequisites: ['CSAI 303'] },
+        { code: 'CSAI 362', title: 'Information Security', credits: 3, category: 'elective', prerequisites: ['CSAI 303'] },
+        { code: 'CSAI 371', title: 'Web Development', credits: 3, category: 'elective', prerequisites: ['CSAI 205'] },
+        { code: 'CSAI 372', title: 'Mobile Application Development', credits: 3, category: 'elective', prerequisites: ['CSAI 203'] }
+    ]
+};
+
+/**
+ * Returns the key used to match a course code, ignoring case, spaces and dashes
+ * ("csai101" and "CSAI-101" both match "CSAI 101").
+ * @param {string} code - Course code or name
+ * @returns {string} Normalized catalog key
+ */
+export function getCatalogKey(code) {
+    return code.toUpperCase().replace(/[\s-]+/g, '');
+}
+
+/**
+ * Validates a course catalog definition.
+ * @param {Object} data - Catalog definition (bundled or imported JSON)
+ * @returns {{ catalog: Object|null, errors: Array }} Normalized catalog, or null and the error messages
+ */
+export function normalizeCatalog(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { catalog: null, errors: ['The course catalog must be a JSON object.'] };
+    }
+    
+    const errors = [];
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        errors.push('The catalog needs a "name".');
+    }
+    
+    if (!Array.isArray(data.courses) || data.courses.length === 0) {
+        errors.push('The catalog needs a "courses" list with at least one course.');
+        return { catalog: null, errors };
+    }
+    
+    const seen = new Set();
+    const courses = data.courses.map((entry, index) => {
+        const code = typeof entry?.code === 'string' ? entry.code.trim().replace(/\s+/g, ' ') : '';
+        const label = code || `Course ${index + 1}`;
+        
+        if (!code) {
+            errors.push(`Course ${index + 1} needs a "code".`);
+        } else if (seen.has(getCatalogKey(code))) {
+            errors.push(`${label} is listed more than once.`);
+        }
+        seen.add(getCatalogKey(code));
+        
+        const title = typeof entry?.title === 'string' ? entry.title.trim() : '';
+        if (!title) {
+            errors.push(`${label} needs a "title".`);
+        }
+        
+        const credits = entry?.credits;
+        if (typeof credits !== 'number' || !(credits > 0 && credits <= 6) || !Number.isInteger(credits * 2)) {
+            errors.push(`${label}: "credits" must be between 0.5 and 6, in steps of 0.5.`);
+        }
+        
+        if (!Object.hasOwn(CATALOG_CATEGORIES, entry?.category)) {
+            errors.push(`${label}: "category" must be one of ${Object.keys(CATALOG_CATEGORIES).join(', ')}.`);
+        }
+        
+        const prerequisites = entry?.prerequisites ?? [];
+        if (!Array.isArray(prerequisites) || prerequisites.some(p => typeof p !== 'string')) {
+            errors.push(`${label}: "prerequisites" must be a list of course codes.`);
+        }
+        
+        return {
+            code,
+            title,
+            credits,
+            category: entry?.category,
+            prerequisites: Array.isArray(prerequisites) ? prerequisites.map(p => String(p).trim().replace(/\s+/g, ' ')) : []
+        };
+    });
+    
+    // Prerequisites must be courses in the same catalog
+    courses.forEach(course => {
+        const unknown = course.prerequisites.filter(p => !seen.has(getCatalogKey(p)));
+        if (unknown.length > 0) {
+            errors.push(`${course.code || 'A course'}: prerequisite ${unknown.join(', ')} is not in the catalog.`);
+        }
+    });
+    
+    if (errors.length > 0) {
+        return { catalog: null, errors };
+    }
+    
+    return { catalog: { name, courses }, errors };
+}
+
+/**
+ * Converts a normalized catalog back to its JSON definition.
+ * @param {Object} catalog - Normalized course catalog
+ * @returns {Object} Catalog definition
+ */
+export function serializeCatalog(catalog) {
+    return {
+        name: catalog.name,
+        courses: catalog.courses.map(course => ({ ...course, prerequisites: [...course.prerequisites] }))
+    };
+}
+
+export const BUNDLED_CATALOG = { ...normalizeCatalog(CSAI_CATALOG_DEFINITION).catalog, bundled: true };
+
+/**
+ * Finds the catalog course a course name refers to.
+ * @param {string} name - Course name as entered (e.g., "CSAI 101" or "csai101")
+ * @param {Object} catalog - Course catalog (defaults to the bundled catalog)
+ * @returns {Object|undefined} Catalog course
+ */
+export function findCatalogCourse(name, catalog = BUNDLED_CATALOG) {
+    const key = getCatalogKey(name);
+    return key ? catalog.courses.find(course => getCatalogKey(course.code) === key) : undefined;
+}
+
+/**
+ * Returns the IDs of courses entered more than once in the same term. Names that match
+ * a catalog course are compared by code, others by getCourseKey().
+ * @param {Array} courses - Course input objects of one term
+ * @param {Object} catalog - Course catalog (defaults to the bundled catalog)
+ * @returns {Set} IDs of duplicated courses
+ */
+export function findDuplicateCourses(courses, catalog = BUNDLED_CATALOG) {
+    const byKey = new Map();
+    
+    courses.forEach(course => {
+        if (!course.name.trim()) return;
+        const match = findCatalogCourse(course.name, catalog);
+        const key = match ? `catalog:${match.code}` : getCourseKey(course.name);
+        byKey.set(key, [...(byKey.get(key) ?? []), course.id]);
+    });
+    
+    return new Set([...byKey.values()].filter(ids => ids.length > 1).flat());
+}
+
+// ============================================
+// DEGREE AUDIT
+// ============================================
+
+/**
+ * Bundled CSAI graduation requirements: the total credits to graduate and, per catalog
+ * category, the credits and the specific courses required. Credits beyond a category's
+ * requirement and courses outside the catalog count toward the total only.
+ * Like the catalog, it is a starting point to check against your official study plan.
+ */
+export const CSAI_REQUIREMENTS = {
+    name: 'B.Sc. in Computational Sciences and AI',
+    totalCredits: 102,
+    categories: [
+        {
+            category: 'general-education',
+            credits: 15,
+            requiredCourses: ['ENGL 101', 'ENGL 102', 'ENGL 201', 'HUM 101', 'HUM 102', 'BUS 101']
+        },
+        {
+            category: 'math-science',
+            credits: 23,
+            requiredCourses: ['MATH 101', 'MATH 102', 'MATH 105', 'MATH 201', 'MATH 205', 'PHYS 101', 'PHYS 102']
+        },
+        {
+            category: 'core',
+            credits: 46,
+            requiredCourses: [
+                'CSAI 100', 'CSAI 101', 'CSAI 151', 'CSAI 201', 'CSAI 202', 'CSAI 203', 'CSAI 204', 'CSAI 205',
+                'CSAI 253', 'CSAI 301', 'CSAI 302', 'CSAI 303', 'CSAI 304', 'CSAI 351', 'CSAI 497', 'CSAI 498'
+            ]
+        },
+        {
+            category: 'elective',
+            credits: 12,
+            requiredCourses: []
+        }
+    ]
+};
+
+/**
+ * Audits progress toward graduation: credits completed per requirement category, the
+ * required courses still missing, the credits left to graduate and the average grade
+ * points needed on them to graduate at a target CGPA.
+ * 
+ * Completed courses are those with earned credits, counted once per catalog course.
+ * The record is built with the same calculations as the results: computeTermGPA on top
+ * of the previous record (computeNewCGPA) in CGPA mode, or computeTranscript. Courses
+ * without a grade yet (`hasGrade: false`) are planned: they are not completed, but are
+ * marked in the remaining courses. The previous record has no course list, so its
+ * credits count toward the total and are assumed to cover missing category credits.
+ * 
+ * @param {Object} options
+ * @param {Array} options.semesters - Array of { name, courses } in chronological order (course data from collectCourseData)
+ * @param {{ cgpa: number, credits: number }|null} options.previous - Previous record (CGPA mode), or null
+ * @param {number|null} options.targetCGPA - CGPA to graduate with, or null to skip the GPA requirement
+ * @param {Object} options.requirements - Graduation requirements (defaults to CSAI_REQUIREMENTS)
+ * @param {Object} options.catalog - Course catalog (defaults to the bundled catalog)
+ * @param {Object} options.scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {{ categories: Array, otherCredits: number, previousCredits: number, completedCredits: number, totalCredits: number, remainingCredits: number, cgpa: Object, gpaCredits: number, target: Object|null }}
+ *          target is { targetCGPA, status, requiredAverage, bestCGPA, worstCGPA } with status 'achieved', 'reachable' or 'unreachable'
+ */
+export function computeDegreeAudit({ semesters, previous = null, targetCGPA = null, requirements = CSAI_REQUIREMENTS, catalog = BUNDLED_CATALOG, scheme = DEFAULT_SCHEME }) {
+    const graded = semesters.map(semester => ({ ...semester, courses: semester.courses.filter(c => c.hasGrade) }));
+    const planned = new Set(semesters.flatMap(semester => semester.courses
+        .filter(c => !c.hasGrade)
+        .map(c => findCatalogCourse(c.name, catalog)?.code)
+        .filter(Boolean)));
+    
+    let record;
+    let courses;
+    let previousCredits = 0;
+    
+    if (previous) {
+        const termResult = computeTermGPA(graded.flatMap(s => s.courses), scheme);
+        record = computeNewCGPA(
+            previous.cgpa,
+            previous.credits,
+            termResult.totalQualityPoints,
+            termResult.totalCredits,
+            null,
+            { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+        );
+        courses = termResult.courses;
+        previousCredits = previous.credits - termResult.replacedCredits;
+    } else {
+        record = computeTranscript(graded, scheme);
+        courses = record.semesters.flatMap(s => s.termResult.courses).filter(c => !c.replaced);
+    }
+    
+    // Earned credits per catalog course (a course passed twice counts once)
+    const completed = new Map();
+    let otherCredits = 0;
+    
+    courses.filter(c => c.earned).forEach(course => {
+        const match = findCatalogCourse(course.name, catalog);
+        if (!match) {
+            otherCredits += course.credits;
+        } else if (!completed.has(match.code)) {
+            completed.set(match.code, { course: match, credits: course.credits });
+        }
+    });
+    
+    const categories = requirements.categories.map(requirement => {
+        const credits = [...completed.values()]
+            .filter(entry => entry.course.category === requirement.category)
+            .reduce((sum, entry) => sum + entry.credits, 0);
+        
+        return {
+            category: requirement.category,
+            label: CATALOG_CATEGORIES[requirement.category] ?? requirement.category,
+            requiredCredits: requirement.credits,
+            completedCredits: credits,
+            remainingCredits: Math.max(0, requirement.credits - credits),
+            remainingCourses: requirement.requiredCourses
+                .filter(code => !completed.has(findCatalogCourse(code, catalog)?.code ?? code))
+                .map(code => {
+                    const match = findCatalogCourse(code, catalog);
+                    return {
+                        code: match ? match.code : code,
+                        title: match ? match.title : '',
+                        credits: match ? match.credits : null,
+                        planned: Boolean(match) && planned.has(match.code)
+                    };
+                })
+        };
+    });
+    
+    // Catalog courses in a category without requirements count toward the total only
+    const categorized = new Set(requirements.categories.map(r => r.category));
+    completed.forEach(entry => {
+        if (!categorized.has(entry.course.category)) {
+            otherCredits += entry.credits;
+        }
+    });
+    
+    // The previous record has no course list, so it is assumed to cover missing category credits
+    const completedCredits = previousCredits + otherCredits + categories.reduce((sum, c) => sum + c.completedCredits, 0);
+    const remainingCredits = Math.max(
+        requirements.totalCredits - completedCredits,
+        categories.reduce((sum, c) => sum + c.remainingCredits, 0) - previousCredits,
+        0
+    );
+    
+    // GPA needed on the remaining credits, assuming they all count in the GPA
+    let target = null;
+    if (targetCGPA !== null) {
+        const projectCGPA = point => computeNewCGPA(
+            record.cgpa,
+            record.totalCredits,
+            multiplyFractions(point, remainingCredits),
+            remainingCredits,
+            record.totalQualityPoints
+        ).cgpa;
+        const bestCGPA = projectCGPA(getMaxGradePoint(scheme));
+        const worstCGPA = projectCGPA(scheme.grades[scheme.grades.length - 1].point);
+        
+        let status = 'reachable';
+        if (compareFractions(worstCGPA, targetCGPA) >= 0) {
+            status = 'achieved';
+        } else if (compareFractions(bestCGPA, targetCGPA) < 0) {
+            status = 'unreachable';
+        }
+        
+        target = {
+            targetCGPA: toFraction(targetCGPA),
+            status,
+            requiredAverage: remainingCredits > 0
+                ? divideFractions(
+                    subtractFractions(multiplyFractions(targetCGPA, record.totalCredits + remainingCredits), record.totalQualityPoints),
+                    remainingCredits
+                )
+                : null,
+            bestCGPA,
+            worstCGPA
+        };
+    }
+    
+    return {
+        categories,
+        otherCredits,
+        previousCredits,
+        completedCredits,
+        totalCredits: requirements.totalCredits,
+        remainingCredits,
+        cgpa: record.cgpa,
+        gpaCredits: record.totalCredits,
+        target
+    };
+}
+
+// ============================================
+// COURSE INPUT & VALIDATION
+// ============================================
+
+/**
+ * Builds course data for calculation from course inputs (as entered in the form or read
+ * from a course file). `excluded` marks courses whose status keeps them out of the GPA;
+ * only graded courses need a grade (`hasGrade` is true for every other status). Unnamed
+ * courses are named after their position in the list ("Course 2").
+ * @param {Array} courseInputs - Course inputs in list order: { id, name, credits, gradeType, score, letter, status, repeated, previousLetter?, previousCredits?, scenarioLetters? }
+ * @param {Object} scheme - Grading scheme (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of course objects
+ */
+export function createCourseData(courseInputs, scheme = DEFAULT_SCHEME) {
+    return courseInputs.map((course, index) => {
+        const { id, gradeType, status, repeated } = course;
+        const excluded = !getStatusEffect(status, scheme).countsInGPA;
+        const name = course.name.trim() || `Course ${index + 1}`;
+        const credits = course.credits || 0;
+        
+        let gradePoint = createFraction(0);
+        let letter = 'F';
+        let score = null;
+        let hasGrade = false;
+        
+        if (gradeType === 'numeric') {
+            score = course.score;
+            hasGrade = score !== null;
+            if (score !== null) {
+                const mapped = mapNumericToGradePoint(score, scheme);
+                gradePoint = mapped.point;
+                letter = mapped.letter;
+            }
+        } else {
+            letter = course.letter;
+            hasGrade = Boolean(letter);
+            if (letter) {
+                gradePoint = mapLetterToGradePoint(letter, scheme);
+            }
+        }
+        
+        const previousAttempt = repeated && course.previousLetter
+            ? {
+                letter: course.previousLetter,
+                gradePoint: mapLetterToGradePoint(course.previousLetter, scheme),
+                credits: course.previousCredits ?? credits
+            }
+            : null;
+        
+        return {
+            id,
+            name,
+            credits,
+            score,
+            gradePoint,
+            letter,
+            status,
+            excluded,
+            repeated,
+            previousAttempt,
+            scenarioLetters: { ...course.scenarioLetters },
+            gradeType,
+            hasGrade: hasGrade || status !== 'graded'
+        };
+    });
+}
+
+/**
+ * Validates one course and returns its errors with the fields they concern, so a form can
+ * mark the offending inputs. Fields are 'credits', 'grade', 'previousCredits',
+ * 'previousLetter' and 'scenario-<key>' (see SCENARIOS).
+ * Messages are plain text; escape them before inserting into HTML.
+ * @param {Object} course - Course object (see createCourseData)
+ * @param {Object} scheme - Grading scheme the letters must belong to (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of { fields, message }
+ */
+export function validateCourseFields(course, scheme = DEFAULT_SCHEME) {
+    const errors = [];
+    
+    if (course.credits <= 0) {
+        errors.push({ fields: ['credits'], message: 'Credit hours must be greater than 0.' });
+    }
+    
+    if (course.credits > 6) {
+        errors.push({ fields: ['credits'], message: 'Credit hours cannot exceed 6.' });
+    }
+    
+    if (course.status === 'graded' && !course.excluded) {
+        if (course.gradeType === 'numeric') {
+            if (course.score === null || isNaN(course.score)) {
+                errors.push({ fields: ['grade'], message: 'Please enter a valid numeric score.' });
+            } else if (course.score < 0 || course.score > 100) {
+                errors.push({ fields: ['grade'], message: 'Score must be between 0 and 100.' });
+            }
+        } else if (!course.letter) {
+            errors.push({ fields: ['grade'], message: 'Please select a letter grade.' });
+        }
+    }
+    
+    if (course.previousAttempt &&
+        (course.previousAttempt.credits <= 0 || course.previousAttempt.credits > 6)) {
+        errors.push({ fields: ['previousCredits'], message: 'Previous attempt credit hours must be between 0 and 6.' });
+    }
+    
+    // Grades picked under another grading scheme
+    const unknownLetters = [
+        ['grade', course.gradeType === 'letter' && course.status === 'graded' ? course.letter : ''],
+        ['previousLetter', course.previousAttempt?.letter],
+        ...Object.entries(course.scenarioLetters ?? {}).map(([key, letter]) => [`scenario-${key}`, letter])
+    ].filter(([, letter]) => letter && !isSchemeLetter(letter, scheme));
+    
+    if (unknownLetters.length > 0) {
+        const letters = [...new Set(unknownLetters.map(([, letter]) => letter))];
+        errors.push({
+            fields: unknownLetters.map(([field]) => field),
+            message: `${letters.join(', ')} is not a grade in the ${scheme.name} scheme. Please choose the grade again.`
+        });
+    }
+    
+    return errors;
+}
+
+/**
+ * Validates one course and returns its errors, without a course prefix.
+ * @param {Object} course - Course object (see createCourseData)
+ * @param {Object} scheme - Grading scheme the letters must belong to (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of error messages
+ */
+export function validateCourse(course, scheme = DEFAULT_SCHEME) {
+    return validateCourseFields(course, scheme).map(error => error.message);
+}
+
+/**
+ * Validates course data and returns any errors, prefixed with the course label the form
+ * shows on each row: its position in the list ("Course #3").
+ * @param {Array} courses - Array of course objects in list order (see createCourseData)
+ * @param {Object} scheme - Grading scheme the letters must belong to (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of error messages
+ */
+export function validateCourses(courses, scheme = DEFAULT_SCHEME) {
+    if (courses.length === 0) {
+        return ['Please add at least one course.'];
+    }
+    
+    return courses.flatMap((course, index) =>
+        validateCourse(course, scheme).map(error => `Course #${index + 1}: ${error}`)
+    );
+}
+
+/**
+ * Validates a previous record (CGPA mode) and returns its errors with the field they
+ * concern ('cgpa' or 'credits').
+ * @param {{ cgpa: number|null, credits: number|null }} previous - Previous CGPA and total credits
+ * @param {Object} scheme - Grading scheme that caps the CGPA (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of { fields, message }
+ */
+export function validatePreviousFields(previous, scheme = DEFAULT_SCHEME) {
+    const errors = [];
+    const prevCGPA = previous.cgpa ?? NaN;
+    const prevCredits = previous.credits ?? NaN;
+    const maxPoint = getMaxGradePoint(scheme);
+    
+    if (isNaN(prevCGPA) || prevCGPA < 0 || compareFractions(prevCGPA, maxPoint) > 0) {
+        errors.push({ fields: ['cgpa'], message: `Previous CGPA must be between 0.00 and ${formatFraction(maxPoint, 2)}.` });
+    }
+    
+    if (isNaN(prevCredits) || prevCredits < 0) {
+        errors.push({ fields: ['credits'], message: 'Previous total credits must be 0 or greater.' });
+    }
+    
+    return errors;
+}
+
+/**
+ * Validates a previous record (CGPA mode).
+ * @param {{ cgpa: number|null, credits: number|null }} previous - Previous CGPA and total credits
+ * @param {Object} scheme - Grading scheme that caps the CGPA (defaults to DEFAULT_SCHEME)
+ * @returns {Array} Array of error messages
+ */
+export function validatePreviousRecord(previous, scheme = DEFAULT_SCHEME) {
+    return validatePreviousFields(previous, scheme).map(error => error.message);
+}
+
+/**
+ * Error for a term or transcript where every course has a status that keeps it out of the GPA.
+ */
+export const NO_INCLUDED_COURSES_ERROR = 'No course counts in the GPA (all are withdrawn, incomplete, pass/fail, transfer, or dropped). Cannot calculate GPA with no included courses.';
+
+/**
+ * Checks that the earlier attempts a term's repeated courses replace fit in the previous
+ * record they are removed from (CGPA mode).
+ * @param {Object} termResult - Result of computeTermGPA
+ * @param {{ cgpa: number, credits: number }} previous - Previous CGPA and total credits
+ * @returns {Array} Array of error messages
+ */
+export function validateReplacedAttempts(termResult, previous) {
+    const errors = [];
+    
+    if (termResult.replacedCredits > previous.credits) {
+        errors.push(`Previous attempts of repeated courses (${termResult.replacedCredits} cr) cannot exceed your previous total credits (${previous.credits}).`);
+    } else if (compareFractions(termResult.replacedQualityPoints, multiplyFractions(previous.cgpa, previous.credits)) > 0) {
+        errors.push('Previous attempts of repeated courses earn more quality points than your previous record. Check their grades and credits.');
+    }
+    
+    return errors;
+}
+
+// ============================================
+// COURSE FILES (CSV & JSON)
+// ============================================
+
+/**
+ * Header of the course CSV written by Export CSV; transcripts add a leading Semester column.
+ */
+export const CSV_COURSE_COLUMNS = ['Course Name', 'Credit Hours', 'Score', 'Letter Grade', 'Grade Points', 'Quality Points', 'Excluded', 'Repeated', 'Status', 'Previous Letter Grade', 'Previous Credit Hours'];
+
+/**
+ * Quotes a text value for CSV, doubling any embedded quotes.
+ * @param {string} text - Raw text
+ * @returns {string} Quoted CSV field
+ */
+export function quoteCSV(text) {
+    return `"${String(text).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Creates the CSV line for a processed course. A capped repeated course keeps the letter
+ * that was entered (the Status column names the cap), so importing it restores the course.
+ * @param {Object} course - Processed course from computeTermGPA
+ * @returns {string} CSV line without trailing newline
+ */
+export function createCourseCSVLine(course) {
+    let status = course.wasCapped ? `Capped at ${course.letter}` : 'Included';
+    if (course.status !== 'graded') {
+        status = course.status;  // W, WP, WF, I, P, NP, TR or Drop
+    }
+    const letter = course.wasCapped ? course.enteredLetter : course.letter;
+    const previous = course.previousAttempt;
+    return `${quoteCSV(course.name)},${course.credits},${course.score ?? ''},${letter},${formatFraction(course.gradePoint, 2)},${formatFraction(course.qualityPoints, 2)},${course.excluded},${course.repeated},${status},${previous?.letter ?? ''},${previous?.credits ?? ''}`;
+}
+
+/**
+ * Creates the course CSV of one term, with its totals and, given the previous record,
+ * the new CGPA.
+ * @param {Object} termResult - Result of computeTermGPA
+ * @param {{ cgpa: number, credits: number }|null} previous - Previous record (CGPA mode), or null
+ * @returns {string} CSV content
+ */
+export function createTermCSV(termResult, previous = null) {
+    let csv = `${CSV_COURSE_COLUMNS.join(',')}\n`;
+    
+    termResult.courses.forEach(course => {
+        csv += `${createCourseCSVLine(course)}\n`;
+    });
+    
+    csv += `\nTotal Credits,${termResult.totalCredits}\n`;
+    csv += `Total Quality Points,${formatFraction(termResult.totalQualityPoints, 2)}\n`;
+    csv += `Term GPA,${formatFraction(termResult.gpa, 2)}\n`;
+    
+    if (previous) {
+        const cgpaResult = computeNewCGPA(
+            previous.cgpa, previous.credits, termResult.totalQualityPoints, termResult.totalCredits, null,
+            { credits: termResult.replacedCredits, qualityPoints: termResult.replacedQualityPoints }
+        );
+        
+        csv += `\nPrevious CGPA,${previous.cgpa}\n`;  // As entered, so importing restores it exactly
+        csv += `Previous Credits,${previous.credits}\n`;
+        csv += `New CGPA,${formatFraction(cgpaResult.cgpa, 2)}\n`;
+    }
+    
+    return csv;
+}
+
+/**
+ * Creates the course CSV of a transcript, with a leading Semester column and a
+ * semester-by-semester summary.
+ * @param {Object} result - Result of computeTranscript
+ * @returns {string} CSV content
+ */
+export function createTranscriptCSV(result) {
+    let csv = `Semester,${CSV_COURSE_COLUMNS.join(',')}\n`;
+    
+    result.semesters.forEach(semester => {
+        semester.termResult.courses.forEach(course => {
+            // Earlier attempts in a transcript are found by name, not entered
+            csv += `${quoteCSV(semester.name)},${createCourseCSVLine({ ...course, previousAttempt: null })}\n`;
+        });
+    });
+    
+    csv += '\nSemester,Term Credits,Term Quality Points,Term GPA,Total Credits,CGPA\n';
+    result.semesters.forEach(semester => {
+        csv += `${quoteCSV(semester.name)},${semester.termResult.totalCredits},${formatFraction(semester.termResult.totalQualityPoints, 2)},${formatFraction(semester.termResult.gpa, 2)},${semester.totalCredits},${formatFraction(semester.cgpa, 2)}\n`;
+    });
+    
+    csv += `\nTotal Credits,${result.totalCredits}\n`;
+    csv += `Total Quality Points,${formatFraction(result.totalQualityPoints, 2)}\n`;
+    csv += `CGPA,${formatFraction(result.cgpa, 2)}\n`;
+    
+    return csv;
+}
+
+/**
+ * Splits CSV text into records, honouring quoted fields ("a, ""b""").
+ * @param {string} text - CSV content
+ * @returns {Array} Array of { line, fields } where line is the 1-based line the record starts on
+ */
+export function parseCSV(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+    
+    text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n') {
+            fields.push(field);
+            records.push({ line: startLine, fields });
+            fields = [];
+            field = '';
+            startLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ line: startLine, fields });
+    }
+    
+    return records;
+}
+
+/**
+ * Reads one course row of a course file. Computed columns (grade points, quality points)
+ * are recalculated, so they are not read.
+ * @param {Function} get - Returns the trimmed text of a column by name ('' when missing)
+ * @param {Object} scheme - Grading scheme the letters must belong to
+ * @returns {{ course: Object|null, errors: Array }} Course input, or null and the row's errors
+ */
+function readFileCourse(get, scheme) {
+    const errors = [];
+    const parseNumber = value => (value === '' ? null : Number(value));
+    const parseBoolean = value => ({ true: true, false: false }[value.toLowerCase()]);
+    
+    const credits = parseNumber(get('Credit Hours'));
+    const score = parseNumber(get('Score'));
+    const letter = get('Letter Grade');
+    const excluded = parseBoolean(get('Excluded'));
+    const repeated = parseBoolean(get('Repeated'));
+    const previousLetter = get('Previous Letter Grade');
+    const previousCredits = parseNumber(get('Previous Credit Hours'));
+    
+    // The Status column holds the course status; files from before statuses only say Excluded
+    const statusCode = get('Status');
+    const status = COURSE_STATUSES.some(s => s.code === statusCode && s.code !== 'graded')
+        ? statusCode
+        : (excluded ? 'W' : 'graded');
+    
+    if (credits !== null && (isNaN(credits) || credits < 0)) {
+        errors.push(`credit hours "${get('Credit Hours')}" is not a valid number`);
+    }
+    if (score !== null && (isNaN(score) || score < 0 || score > 100)) {
+        errors.push(`score "${get('Score')}" must be a number between 0 and 100`);
+    } else if (score === null && letter && status === 'graded' && !isSchemeLetter(letter, scheme)) {
+        errors.push(`"${letter}" is not a grade in the ${scheme.name} scheme`);
+    }
+    if (previousLetter && !isSchemeLetter(previousLetter, scheme)) {
+        errors.push(`previous grade "${previousLetter}" is not a grade in the ${scheme.name} scheme`);
+    }
+    if (previousCredits !== null && (isNaN(previousCredits) || previousCredits < 0)) {
+        errors.push(`previous credit hours "${get('Previous Credit Hours')}" is not a valid number`);
+    }
+    if (excluded === undefined) {
+        errors.push(`Excluded must be true or false, not "${get('Excluded')}"`);
+    }
+    if (repeated === undefined) {
+        errors.push(`Repeated must be true or false, not "${get('Repeated')}"`);
+    }
+    
+    if (errors.length > 0) {
+        return { course: null, errors };
+    }
+    
+    return {
+        course: {
+            name: get('Course Name'),
+            credits: credits || null,  // Export writes 0 for a missing value
+            gradeType: score !== null ? 'numeric' : 'letter',
+            score,
+            letter: score !== null ? '' : letter,
+            status,
+            repeated,
+            previousLetter,
+            previousCredits
+        },
+        errors
+    };
+}
+
+/**
+ * Adds a course read from a file to its semester (transcripts) or the term.
+ * @param {Object} file - Parsed file being built ({ courses, semesters })
+ * @param {Object} course - Course input
+ * @param {string|null} semesterName - Semester name, or null for a term file
+ */
+function addFileCourse(file, course, semesterName) {
+    if (semesterName === null) {
+        file.courses.push(course);
+        return;
+    }
+    
+    let semester = file.semesters.find(s => s.name === semesterName);
+    if (!semester) {
+        semester = { name: semesterName, courses: [] };
+        file.semesters.push(semester);
+    }
+    semester.courses.push(course);
+}
+
+/**
+ * Works out the calculation mode of a parsed course file.
+ * @param {Object} file - Parsed file ({ semesters, previous })
+ * @param {boolean} hasSemesters - Whether the file has a Semester column
+ * @returns {string} 'term', 'cgpa' or 'transcript'
+ */
+function getFileMode(file, hasSemesters) {
+    if (hasSemesters) return 'transcript';
+    return file.previous.cgpa !== null || file.previous.credits !== null ? 'cgpa' : 'term';
+}
+
+/**
+ * Parses a course CSV written by Export CSV (term, CGPA or transcript). Totals are
+ * recalculated, so they are only checked for being numbers. Every course input carries
+ * the `line` it was read from.
+ * 
+ * @param {string} text - CSV content
+ * @param {Object} scheme - Grading scheme the letters must belong to (defaults to DEFAULT_SCHEME)
+ * @returns {{ file: Object|null, courseCount: number, errors: Array }} file is { mode, previous, courses, semesters } (null if unusable); errors are line-numbered
+ */
+export function parseCourseCSV(text, scheme = DEFAULT_SCHEME) {
+    const records = parseCSV(text);
+    const isBlank = record => record.fields.every(f => f.trim() === '');
+    const errors = [];
+    
+    const header = records.find(r => !isBlank(r));
+    const columns = header ? header.fields.map(f => f.trim()) : [];
+    const column = name => columns.indexOf(name);
+    const required = ['Course Name', 'Credit Hours', 'Score', 'Letter Grade', 'Excluded', 'Repeated'];
+    
+    if (!header || required.some(name => column(name) === -1)) {
+        return {
+            file: null,
+            courseCount: 0,
+            errors: [`The file is not an exported course CSV: the header must include ${required.join(', ')}.`]
+        };
+    }
+    
+    const hasSemesters = column('Semester') !== -1;
+    const file = { mode: 'term', previous: { cgpa: null, credits: null }, courses: [], semesters: [] };
+    let courseCount = 0;
+    
+    // Course rows run from the header to the first blank line
+    let index = records.indexOf(header) + 1;
+    for (; index < records.length && !isBlank(records[index]); index++) {
+        const { line, fields } = records[index];
+        
+        if (fields.length !== columns.length) {
+            errors.push(`Line ${line}: expected ${columns.length} columns but found ${fields.length}.`);
+            continue;
+        }
+        
+        const get = name => (column(name) === -1 ? '' : fields[column(name)].trim());
+        const { course, errors: rowErrors } = readFileCourse(get, scheme);
+        
+        if (!course) {
+            errors.push(`Line ${line}: ${rowErrors.join('; ')}.`);
+            continue;
+        }
+        
+        courseCount++;
+        addFileCourse(file, { ...course, line }, hasSemesters ? get('Semester') : null);
+    }
+    
+    // Footer: totals, the previous record (CGPA mode) and the transcript semester summary
+    const totals = ['Total Credits', 'Total Quality Points', 'Term GPA', 'New CGPA', 'CGPA'];
+    let inSummary = false;
+    
+    for (; index < records.length; index++) {
+        const { line, fields } = records[index];
+        const label = fields[0].trim();
+        const value = (fields[1] ?? '').trim();
+        
+        if (isBlank(records[index])) {
+            inSummary = false;
+        } else if (inSummary) {
+            continue;
+        } else if (hasSemesters && label === 'Semester') {
+            inSummary = true;
+        } else if (label === 'Previous CGPA' || label === 'Previous Credits') {
+            const number = value === '' ? NaN : Number(value);
+            if (isNaN(number) || number < 0) {
+                errors.push(`Line ${line}: ${label} "${value}" is not a valid number.`);
+            } else {
+                file.previous[label === 'Previous CGPA' ? 'cgpa' : 'credits'] = number;
+            }
+        } else if (totals.includes(label)) {
+            if (value === '' || isNaN(Number(value))) {
+                errors.push(`Line ${line}: ${label} "${value}" is not a valid number.`);
+            }
+        } else {
+            errors.push(`Line ${line}: unrecognized line "${fields.join(',')}".`);
+        }
+    }
+    
+    file.mode = getFileMode(file, hasSemesters);
+    return { file, courseCount, errors };
+}
+
+/**
+ * Parses a JSON course file: an array of course rows keyed by the CSV column names
+ * (Course Name, Credit Hours, Score or Letter Grade, and optionally Status, Repeated,
+ * Previous Letter Grade, Previous Credit Hours, Semester), or { previous: { cgpa, credits }, courses: [...] }. Every course input
+ * carries the 1-based `entry` it was read from.
+ * 
+ * @param {*} data - Parsed JSON
+ * @param {Object} scheme - Grading scheme the letters must belong to (defaults to DEFAULT_SCHEME)
+ * @returns {{ file: Object|null, courseCount: number, errors: Array }} Same shape as parseCourseCSV; errors are entry-numbered
+ */
+export function parseCourseJSON(data, scheme = DEFAULT_SCHEME) {
+    const rows = Array.isArray(data) ? data : data?.courses;
+    if (!Array.isArray(rows)) {
+        return {
+            file: null,
+            courseCount: 0,
+            errors: ['The file is not a course file: expected an array of courses or an object with a "courses" array.']
+        };
+    }
+    
+    const errors = [];
+    const hasSemesters = rows.some(row => row?.Semester !== undefined);
+    const file = { mode: 'term', previous: { cgpa: null, credits: null }, courses: [], semesters: [] };
+    let courseCount = 0;
+    
+    rows.forEach((row, index) => {
+        const entry = index + 1;
+        
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            errors.push(`Entry ${entry}: expected an object with the course columns.`);
+            return;
+        }
+        
+        // Excluded and Repeated are optional in JSON; Status says whether a course counts
+        const get = name => {
+            const value = row[name] ?? ((name === 'Excluded' || name === 'Repeated') ? false : '');
+            return String(value).trim();
+        };
+        const { course, errors: rowErrors } = readFileCourse(get, scheme);
+        
+        if (!course) {
+            errors.push(`Entry ${entry}: ${rowErrors.join('; ')}.`);
+            return;
+        }
+        
+        courseCount++;
+        addFileCourse(file, { ...course, entry }, hasSemesters ? get('Semester') : null);
+    });
+    
+    const previous = Array.isArray(data) ? null : data.previous;
+    if (previous !== undefined && previous !== null) {
+        ['cgpa', 'credits'].forEach(key => {
+            const value = previous[key];
+            if (typeof value !== 'number' || isNaN(value) || value < 0) {
+                errors.push(`previous.${key} must be a number of 0 or more.`);
+            } else {
+                file.previous[key] = value;
+            }
+        });
+    }
+    
+    file.mode = getFileMode(file, hasSemesters);
+    return { file, courseCount, errors };
+}
+
+// ============================================
+// STATE FILES
+// ============================================
+
+/**
+ * Current version of the JSON export of the calculator state. Bump it when the file shape
+ * changes and add a step to STATE_FILE_MIGRATIONS that upgrades the previous version.
+ */
+export const STATE_FILE_VERSION = 3;
+
+/**
+ * Upgrades for older JSON exports, keyed by the version they upgrade from.
+ */
+const STATE_FILE_MIGRATIONS = {
+    // Version 1: a bare state snapshot (as kept in autosave and sessions), no grading scheme
+    1: ({ version, ...state }) => ({ version: 2, scheme: null, state }),
+    // Version 2: courses flagged `excluded` instead of a `status`; the state reader maps them to W
+    2: data => ({ ...data, version: 3 })
+};
+
+/**
+ * Reads a JSON export of the calculator state, migrating older versions to the current one.
+ * The state is returned as stored; only its course list is checked.
+ * @param {*} data - Parsed JSON
+ * @returns {{ state: Object|null, scheme: Object|null, error: string|null }} State and the normalized grading scheme (null if the file has none), or an error
+ */
+export function migrateStateFile(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { state: null, scheme: null, error: 'The file does not contain calculator data.' };
+    }
+    
+    // Files without a version are bare snapshots
+    let file = data.version === undefined ? { ...data, version: 1 } : data;
+    
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        return { state: null, scheme: null, error: `Unknown file version "${file.version}".` };
+    }
+    if (file.version > STATE_FILE_VERSION) {
+        return { state: null, scheme: null, error: `The file was made by a newer version of the calculator (file version ${file.version}, supported up to ${STATE_FILE_VERSION}).` };
+    }
+    
+    while (file.version < STATE_FILE_VERSION) {
+        file = STATE_FILE_MIGRATIONS[file.version](file);
+    }
+    
+    if (!file.state || typeof file.state !== 'object' || !Array.isArray(file.state.courses)) {
+        return { state: null, scheme: null, error: 'The file does not contain a course list.' };
+    }
+    
+    let scheme = null;
+    if (file.scheme) {
+        const result = normalizeGradingScheme(file.scheme);
+        if (!result.scheme) {
+            return { state: null, scheme: null, error: `The file's grading scheme is invalid: ${result.errors.join(' ')}` };
+        }
+        scheme = result.scheme;
+    }
+    
+    return { state: file.state, scheme, error: null };
+}
+
+// ============================================
+// PASTED COURSES
+// ============================================
+
+/**
+ * Column types recognised in pasted course rows. The course name is the code when there
+ * is one (so catalog matching and repeat detection work), otherwise the title.
+ */
+export const PASTE_COLUMN_TYPES = ['code', 'title', 'credits', 'score', 'letter', 'status'];
+
+/**
+ * Header names of each column type, for pastes that start with a header row.
+ */
+const PASTE_HEADERS = {
+    code: /^(course\s*)?(code|no\.?|number|id)$/i,
+    title: /^(course(\s*(title|name))?|title|name|subject|description)$/i,
+    credits: /^(credits?|credit\s*hours?|cr\.?|ch|hours|units)$/i,
+    score: /^(score|marks?|percentage|total|%)$/i,
+    letter: /^(letter(\s*grade)?|grade)$/i,
+    status: /^(status|remarks?|notes?)$/i
+};
+
+const COURSE_CODE_PATTERN = /^[A-Za-z]{2,5}[\s-]?\d{3,4}[A-Za-z]?$/;
+
+/**
+ * Credit hours above this are read as scores when columns are detected from their contents.
+ */
+const MAX_PASTE_CREDITS = 10;
+
+/**
+ * Checks whether a pasted cell is a number (a trailing % is allowed).
+ * @param {string} value - Trimmed cell text
+ * @returns {boolean} True for numbers
+ */
+function isPastedNumber(value) {
+    return value !== '' && !isNaN(Number(value.replace(/%$/, '')));
+}
+
+/**
+ * Finds the course status a pasted cell names, by code ("W") or name ("Withdrawn").
+ * @param {string} value - Trimmed cell text
+ * @returns {Object|undefined} Course status (never 'graded')
+ */
+function findPastedStatus(value) {
+    const text = value.toLowerCase();
+    return COURSE_STATUSES.find(status => status.code !== 'graded' && (
+        status.code.toLowerCase() === text ||
+        /\(([^)]*)\)/.exec(status.label)?.[1].toLowerCase() === text
+    ));
+}
+
+/**
+ * Splits pasted text into rows of trimmed cells: tab-separated when the text has tabs
+ * (spreadsheets, portal tables), CSV otherwise. Blank rows are dropped.
+ * @param {string} text - Pasted text
+ * @returns {Array} Array of { line, fields }
+ */
+function splitPastedRows(text) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const records = normalized.includes('\t')
+        ? normalized.split('\n').map((row, index) => ({ line: index + 1, fields: row.split('\t') }))
+        : parseCSV(normalized);
+    
+    return records
+        .map(({ line, fields }) => ({ line, fields: fields.map(field => field.trim()) }))
+        .filter(({ fields }) => fields.some(field => field !== ''));
+}
+
+/**
+ * Works out what each pasted column holds, from a header row when the first row names at
+ * least two known columns, otherwise from the cells (codes, grades, small numbers, …).
+ * @param {Array} records - Rows from splitPastedRows
+ * @param {Object} scheme - Grading scheme the letters belong to
+ * @returns {{ columns: Array, hasHeader: boolean }} Column type (or null) per column index
+ */
+function detectPastedColumns(records, scheme) {
+    const width = Math.max(...records.map(r => r.fields.length));
+    const columns = Array(width).fill(null);
+    
+    const header = records[0].fields.map(cell => PASTE_COLUMN_TYPES.find(type => PASTE_HEADERS[type].test(cell)) ?? null);
+    if (header.filter(Boolean).length >= 2) {
+        header.forEach((type, index) => {
+            if (type && !columns.includes(type)) columns[index] = type;
+        });
+        return { columns, hasHeader: true };
+    }
+    
+    const isLetter = value => isSchemeLetter(value.toUpperCase(), scheme);
+    const isCredits = value => isPastedNumber(value) && Number(value) >= 0 && Number(value) <= MAX_PASTE_CREDITS && Number.isInteger(Number(value) * 2);
+    const isScore = value => isPastedNumber(value) && Number(value.replace(/%$/, '')) >= 0 && Number(value.replace(/%$/, '')) <= 100;
+    
+    // Each type takes the first free column whose non-empty cells all pass its test
+    const assign = (type, test) => {
+        const index = columns.findIndex((taken, i) => {
+            const values = records.map(r => r.fields[i] ?? '').filter(value => value !== '');
+            return taken === null && values.length > 0 && test(values);
+        });
+        if (index !== -1) columns[index] = type;
+    };
+    
+    assign('code', values => values.every(value => COURSE_CODE_PATTERN.test(value)));
+    assign('status', values => values.every(findPastedStatus));
+    // Grade columns may show a status (e.g. W) for courses without a grade
+    assign('letter', values => values.some(isLetter) && values.every(value => isLetter(value) || findPastedStatus(value)));
+    assign('credits', values => values.every(isCredits));
+    assign('score', values => values.some(isScore) && values.every(value => isScore(value) || findPastedStatus(value)));
+    assign('title', values => values.some(value => !isPastedNumber(value)));
+    
+    return { columns, hasHeader: false };
+}
+
+/**
+ * Reads one pasted row into a course input. Rows without credits take them from the
+ * catalog when the name matches a catalog course, as typed names do.
+ * @param {Array} fields - Trimmed cells of the row
+ * @param {Array} columns - Column types from detectPastedColumns
+ * @param {Object} scheme - Grading scheme the letters must belong to
+ * @param {Object} catalog - Course catalog the credits are looked up in
+ * @returns {{ course: Object|null, errors: Array }} Course input, or null and the row's errors
+ */
+function readPastedCourse(fields, columns, scheme, catalog) {
+    const get = type => {
+        const index = columns.indexOf(type);
+        return index === -1 ? '' : (fields[index] ?? '');
+    };
+    const errors = [];
+    
+    let scoreText = get('score').replace(/%$/, '');
+    let letter = get('letter').toUpperCase();
+    let statusText = get('status');
+    
+    // Grade columns can hold a status instead of a grade, and a "Grade" column can hold scores
+    if (findPastedStatus(scoreText)) {
+        statusText = statusText || scoreText;
+        scoreText = '';
+    }
+    if (findPastedStatus(letter)) {
+        statusText = statusText || letter;
+        letter = '';
+    }
+    if (isPastedNumber(letter) && scoreText === '') {
+        scoreText = letter.replace(/%$/, '');
+        letter = '';
+    }
+    
+    const name = get('code') || get('title');
+    const creditsText = get('credits');
+    const credits = creditsText === '' ? (findCatalogCourse(name, catalog)?.credits ?? null) : Number(creditsText);
+    const score = scoreText === '' ? null : Number(scoreText);
+    
+    if (credits !== null && (isNaN(credits) || credits < 0)) {
+        errors.push(`credits "${creditsText}" is not a valid number`);
+    }
+    if (score !== null && (isNaN(score) || score < 0 || score > 100)) {
+        errors.push(`score "${scoreText}" must be a number between 0 and 100`);
+    }
+    if (score === null && letter && !isSchemeLetter(letter, scheme)) {
+        errors.push(`"${get('letter')}" is not a grade in the ${scheme.name} scheme`);
+    }
+    
+    const status = statusText === '' || /^graded$/i.test(statusText) ? 'graded' : findPastedStatus(statusText)?.code;
+    if (!status) {
+        errors.push(`"${statusText}" is not a course status (use ${COURSE_STATUSES.filter(s => s.code !== 'graded').map(s => s.code).join(', ')})`);
+    }
+    
+    if (errors.length > 0) {
+        return { course: null, errors };
+    }
+    
+    return {
+        course: {
+            name,
+            credits,
+            gradeType: score !== null ? 'numeric' : 'letter',
+            score,
+            letter: score !== null ? '' : letter,
+            status,
+            repeated: false
+        },
+        errors
+    };
+}
+
+/**
+ * Parses courses pasted from a student portal grade page or a spreadsheet (tab- or
+ * comma-separated), detecting the columns for course code, title, credits, score or
+ * letter, and status.
+ * @param {string} text - Pasted text
+ * @param {Object} scheme - Grading scheme the letters must belong to (defaults to DEFAULT_SCHEME)
+ * @param {Object} catalog - Course catalog that fills in missing credits (defaults to the bundled catalog)
+ * @returns {{ columns: Array, hasHeader: boolean, rows: Array, errors: Array }}
+ *          columns holds the type of each column (null when ignored); rows are { line, fields, course, errors } with
+ *          course null when the row has errors; errors are problems with the whole paste
+ */
+export function parseCoursePaste(text, scheme = DEFAULT_SCHEME, catalog = BUNDLED_CATALOG) {
+    const records = splitPastedRows(text);
+    if (records.length === 0) {
+        return { columns: [], hasHeader: false, rows: [], errors: [] };
+    }
+    
+    const { columns, hasHeader } = detectPastedColumns(records, scheme);
+    const errors = [];
+    
+    if (!columns.some(type => ['credits', 'score', 'letter', 'status'].includes(type))) {
+        errors.push('No credits or grade column was found. Paste a header row too, e.g. "Code, Title, Credits, Grade, Status".');
+    }
+    
+    const rows = (hasHeader ? records.slice(1) : records).map(({ line, fields }) => ({
+        line,
+        fields,
+        ...readPastedCourse(fields, columns, scheme, catalog)
+    }));
+    
+    return { columns, hasHeader, rows, errors };
+}
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+/**
+ * Version of the share link format. Bump it when the encoded shape changes; links made by
+ * a newer version are rejected with an error instead of being misread.
+ * Version 2 added the definition of a custom grading scheme.
+ */
+export const SHARE_LINK_VERSION = 2;
+
+/**
+ * Calculation modes in the order they are encoded in a share link.
+ */
+const SHARE_MODES = ['term', 'cgpa', 'transcript'];
+
+/**
+ * Defaults of the encoded course fields: name, credits, numeric flag, grade (letter or
+ * score), status, repeated flag, previous letter, previous credits, then one candidate
+ * letter per scenario. Trailing fields that hold their default are left out.
+ */
+const SHARE_COURSE_DEFAULTS = ['', null, 0, '', 'graded', 0, '', null, ...SCENARIOS.map(() => '')];
+
+/**
+ * Encodes text as URL-safe base64 (UTF-8, no padding).
+ * @param {string} text - Text to encode
+ * @returns {string} base64url string
+ */
+function encodeBase64URL(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64 made by encodeBase64URL.
+ * @param {string} text - base64url string
+ * @returns {string|null} Decoded text, or null if it is not valid base64url UTF-8
+ */
+function decodeBase64URL(text) {
+    if (!/^[A-Za-z0-9_-]+$/.test(text)) return null;
+    
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Encodes a course input as a short array (see SHARE_COURSE_DEFAULTS).
+ * @param {Object} course - Course input: { name, credits, gradeType, score, letter, status, repeated, previousLetter, previousCredits, scenarioLetters }
+ * @returns {Array} Encoded course
+ */
+function encodeShareCourse(course) {
+    const numeric = course.gradeType === 'numeric';
+    const values = [
+        course.name,
+        course.credits,
+        numeric ? 1 : 0,
+        numeric ? course.score : course.letter,
+        course.status,
+        course.repeated ? 1 : 0,
+        course.previousLetter,
+        course.previousCredits,
+        ...SCENARIOS.map(s => course.scenarioLetters?.[s.key] ?? '')
+    ];
+    
+    while (values.length > 0 && values[values.length - 1] === SHARE_COURSE_DEFAULTS[values.length - 1]) {
+        values.pop();
+    }
+    return values;
+}
+
+/**
+ * Decodes a course encoded by encodeShareCourse.
+ * @param {*} values - Encoded course
+ * @param {number} id - ID to give the course
+ * @returns {Object|null} Course input, or null if the values are malformed
+ */
+function decodeShareCourse(values, id) {
+    if (!Array.isArray(values) || values.length > SHARE_COURSE_DEFAULTS.length) return null;
+    
+    const [name, credits, numeric, grade, status, repeated, previousLetter, previousCredits, ...scenarioLetters] =
+        SHARE_COURSE_DEFAULTS.map((fallback, index) => (index < values.length ? values[index] : fallback));
+    const isNumberOrNull = value => value === null || (typeof value === 'number' && Number.isFinite(value));
+    
+    const valid = typeof name === 'string' &&
+        isNumberOrNull(credits) &&
+        (numeric === 0 || numeric === 1) &&
+        (numeric === 1 ? isNumberOrNull(grade) : typeof grade === 'string') &&
+        COURSE_STATUSES.some(s => s.code === status) &&
+        (repeated === 0 || repeated === 1) &&
+        typeof previousLetter === 'string' &&
+        isNumberOrNull(previousCredits) &&
+        scenarioLetters.every(letter => typeof letter === 'string');
+    if (!valid) return null;
+    
+    return {
+        id,
+        name,
+        credits,
+        gradeType: numeric === 1 ? 'numeric' : 'letter',
+        score: numeric === 1 ? grade : null,
+        letter: numeric === 1 ? '' : grade,
+        status,
+        repeated: repeated === 1,
+        previousLetter,
+        previousCredits,
+        scenarioLetters: Object.fromEntries(SCENARIOS.map((s, index) => [s.key, scenarioLetters[index]]))
+    };
+}
+
+/**
+ * Encodes a calculator state for a share link: the version, a dot, then the state as
+ * base64url JSON of short arrays. Course IDs are not kept; the reader numbers the courses.
+ * Pass the grading scheme when it is not built in, so the reader gets the same grades
+ * even without having imported it.
+ * @param {Object} snapshot - State: { mode, schemeId, previous: { cgpa, credits }, courses, semesters: [{ name, courses }] }
+ * @param {Object|null} scheme - Custom grading scheme of the state, or null for a built-in one
+ * @returns {string} Encoded state, safe to use in a URL fragment
+ */
+export function encodeShareLink(snapshot, scheme = null) {
+    const payload = [
+        SHARE_MODES.indexOf(snapshot.mode),
+        snapshot.schemeId,
+        [snapshot.previous.cgpa, snapshot.previous.credits],
+        snapshot.courses.map(encodeShareCourse),
+        snapshot.semesters.map(semester => [semester.name, semester.courses.map(encodeShareCourse)]),
+        scheme ? serializeGradingScheme(scheme) : null
+    ];
+    
+    return `${SHARE_LINK_VERSION}.${encodeBase64URL(JSON.stringify(payload))}`;
+}
+
+/**
+ * Decodes a state encoded by encodeShareLink. Courses and semesters are numbered from 1
+ * in order, current-term courses first.
+ * @param {string} text - Encoded state
+ * @returns {{ snapshot: Object|null, scheme: Object|null, error: string|null }} State (the shape encodeShareLink takes, with IDs and counters) and the normalized custom grading scheme it uses (null for a built-in one), or why the link cannot be read
+ */
+export function decodeShareLink(text) {
+    const corrupt = { snapshot: null, scheme: null, error: 'The link is incomplete or corrupt. Ask for a new link, or copy the whole link again.' };
+    const match = /^(\d+)\.(.*)$/.exec(text);
+    if (!match) return corrupt;
+    
+    const version = Number(match[1]);
+    if (version > SHARE_LINK_VERSION) {
+        return { snapshot: null, scheme: null, error: `The link was made by a newer version of the calculator (link version ${version}, supported up to ${SHARE_LINK_VERSION}).` };
+    }
+    if (version < 1) {
+        return { snapshot: null, scheme: null, error: `Unknown link version "${match[1]}".` };
+    }
+    
+    let payload;
+    try {
+        payload = JSON.parse(decodeBase64URL(match[2]));
+    } catch (e) {
+        return corrupt;
+    }
+    
+    // Version 1 links have no scheme definition
+    if (!Array.isArray(payload) || payload.length !== (version === 1 ? 5 : 6)) return corrupt;
+    
+    const [modeIndex, schemeId, previous, courses, semesters, schemeDefinition = null] = payload;
+    const isNumberOrNull = value => value === null || (typeof value === 'number' && Number.isFinite(value));
+    
+    if (!Number.isInteger(modeIndex) || !SHARE_MODES[modeIndex] || typeof schemeId !== 'string' ||
+        !Array.isArray(previous) || previous.length !== 2 || !previous.every(isNumberOrNull) ||
+        !Array.isArray(courses) || !Array.isArray(semesters) ||
+        !semesters.every(s => Array.isArray(s) && s.length === 2 && typeof s[0] === 'string' && Array.isArray(s[1]))) {
+        return corrupt;
+    }
+    
+    let courseCounter = 0;
+    const decodeCourses = list => list.map(values => decodeShareCourse(values, ++courseCounter));
+    
+    const snapshot = {
+        mode: SHARE_MODES[modeIndex],
+        schemeId,
+        previous: { cgpa: previous[0], credits: previous[1] },
+        courses: decodeCourses(courses),
+        semesters: semesters.map(([name, list], index) => ({ id: index + 1, name, courses: decodeCourses(list) })),
+        semesterCounter: semesters.length
+    };
+    snapshot.courseCounter = courseCounter;
+    
+    const allCourses = [...snapshot.courses, ...snapshot.semesters.flatMap(s => s.courses)];
+    if (allCourses.includes(null)) return corrupt;
+    
+    let scheme = null;
+    if (schemeDefinition !== null) {
+        const result = normalizeGradingScheme(schemeDefinition);
+        if (!result.scheme) {
+            return { snapshot: null, scheme: null, error: `The link's grading scheme is invalid: ${result.errors.join(' ')}` };
+        }
+        scheme = result.scheme;
+    }
+    
+    return { snapshot, scheme, error: null };
+}
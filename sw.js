@@ -0,0 +1,63 @@
+// Service worker: precaches the app so it opens offline and can be installed.
+// Bump CACHE_VERSION whenever a cached file changes. The new worker then installs next to
+// the old one and waits; the page offers to reload, and the old cache is removed once
+// the new worker takes over.
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `zc-gpa-calc-v${CACHE_VERSION}`;
+
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'gpa-engine.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_FILES.map(file => new Request(file, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('zc-gpa-calc-') && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first: the app's files come from the precache; page loads of any URL in scope
+// (e.g. share links with a query) get the cached index.html
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+                .then(cached => cached ??
+                    (request.mode === 'navigate' ? cache.match('index.html') : undefined))
+                .then(cached => cached ?? fetch(request))
+        )
+    );
+});
@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const HEADER = 'Course Name,Credit Hours,Score,Letter Grade,Grade Points,Quality Points,Excluded,Repeated,Status';
+
+let dir;
+
+/**
+ * Writes a course file to the temporary directory and returns its path.
+ */
+function writeCourseFile(name, content) {
+    const path = join(dir, name);
+    writeFileSync(path, content);
+    return path;
+}
+
+/**
+ * Runs the CLI and returns its exit code and output.
+ */
+function run(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 10000 });
+    return { status, stdout, stderr };
+}
+
+describe('cli', () => {
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'zc-gpa-'));
+    });
+    
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('prints the term GPA of a CSV (README Test 1)', () => {
+        const file = writeCourseFile('term.csv', `${HEADER}\n"Course A",3,,B+,,,false,false,\n"Course B",4,,C+,,,false,false,\n"Course C",2,,F,,,false,false,\n`);
+        const { status, stdout } = run(file);
+        
+        assert.equal(status, 0);
+        assert.match(stdout, /Term Credits: +9\n/);
+        assert.match(stdout, /Term GPA: +2\.15\n/);
+        assert.doesNotMatch(stdout, /CGPA/);
+    });
+    
+    it('computes the CGPA from --prev flags (README Test 2)', () => {
+        const file = writeCourseFile('cgpa.csv', `${HEADER}\nCSAI 101,3,,A-,,,false,false,\n`);
+        const { status, stdout } = run(file, '--prev-cgpa', '3.0', '--prev-credits', '30', '--format', 'json');
+        const output = JSON.parse(stdout);
+        
+        assert.equal(status, 0);
+        assert.equal(output.mode, 'cgpa');
+        assert.equal(output.cgpa.toFixed(2), '3.06');
+        assert.equal(output.cgpaCredits, 33);
+        assert.equal(output.courses[0].letter, 'A-');
+    });
+    
+    it('reads JSON files and writes CSV', () => {
+        const file = writeCourseFile('courses.json', JSON.stringify({
+            previous: { cgpa: 3, credits: 30 },
+            courses: [{ 'Course Name': 'CSAI 101', 'Credit Hours': 3, Score: 96, Repeated: true }]
+        }));
+        const { status, stdout } = run(file, '--format', 'csv');
+        
+        assert.equal(status, 0);
+        assert.match(stdout, /^"CSAI 101",3,96,A,3\.33,10\.00,false,true,Capped at B\+,,$/m);
+        assert.match(stdout, /^Previous Credits,30$/m);
+    });
+    
+    it('computes transcripts', () => {
+        const file = writeCourseFile('transcript.csv', `Semester,${HEADER}\nFall 24,MATH 101,3,,A,,,false,false,\nSpring 25,CSAI 101,3,,C,,,false,false,\n`);
+        const { status, stdout } = run(file, '--format', 'json');
+        const output = JSON.parse(stdout);
+        
+        assert.equal(status, 0);
+        assert.deepEqual(output.semesters.map(s => s.cgpa), [4, 3]);
+        assert.equal(output.totalCredits, 6);
+    });
+    
+    it('exits with 1 and line-numbered errors for invalid courses', () => {
+        const file = writeCourseFile('invalid.csv', `${HEADER}\nCSAI 101,0,,A,,,false,false,\nCSAI 102,3,,,,,false,false,\nCSAI 103,3,abc,,,,false,false,\n`);
+        const { status, stdout, stderr } = run(file);
+        
+        assert.equal(status, 1);
+        assert.equal(stdout, '');
+        assert.deepEqual(stderr.trim().split('\n').slice(1).map(line => line.trim()), [
+            'Line 2 (CSAI 101): Credit hours must be greater than 0.',
+            'Line 3 (CSAI 102): Please select a letter grade.',
+            'Line 4: score "abc" must be a number between 0 and 100.'
+        ]);
+    });
+    
+    it('exits with 1 for a missing file or previous record out of range', () => {
+        const file = writeCourseFile('valid.csv', `${HEADER}\nCSAI 101,3,,A,,,false,false,\n`);
+        
+        assert.equal(run(join(dir, 'missing.csv')).status, 1);
+        assert.match(run(file, '--prev-cgpa', '4.5').stderr, /Previous CGPA must be between 0\.00 and 4\.00\./);
+    });
+    
+    it('exits with 1 when the courses cannot be calculated, as the app does', () => {
+        const excluded = writeCourseFile('excluded.csv', `${HEADER}\nCSAI 101,3,,A,,,true,false,W\n`);
+        const excludedTranscript = writeCourseFile('excluded-transcript.csv', `Semester,${HEADER}\nFall 24,CSAI 101,3,,,,,true,false,P\n`);
+        const repeated = writeCourseFile('repeated.json', JSON.stringify([
+            { 'Course Name': 'CSAI 101', 'Credit Hours': 3, 'Letter Grade': 'B', Repeated: true, 'Previous Letter Grade': 'F', 'Previous Credit Hours': 4 }
+        ]));
+        
+        for (const file of [excluded, excludedTranscript]) {
+            const { status, stdout, stderr } = run(file);
+            assert.equal(status, 1);
+            assert.equal(stdout, '');
+            assert.match(stderr, /Cannot calculate GPA with no included courses\./);
+        }
+        
+        const { status, stderr } = run(repeated, '--prev-cgpa', '3', '--prev-credits', '3');
+        assert.equal(status, 1);
+        assert.match(stderr, /Previous attempts of repeated courses \(4 cr\) cannot exceed your previous total credits \(3\)\./);
+        assert.equal(run(repeated, '--prev-cgpa', '3', '--prev-credits', '4').status, 0);
+    });
+    
+    it('exits with 2 for usage errors', () => {
+        assert.equal(run().status, 2);
+        assert.equal(run('a.csv', 'b.csv').status, 2);
+        assert.equal(run('a.csv', '--format', 'xml').status, 2);
+        assert.equal(run('a.csv', '--prev-cgpa', 'high').status, 2);
+        assert.equal(run('a.csv', '--unknown').status, 2);
+        assert.equal(run('--help').status, 0);
+    });
+});
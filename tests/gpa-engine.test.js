@@ -0,0 +1,768 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    BUILT_IN_SCHEMES,
+    DEFAULT_SCHEME,
+    compareFractions,
+    computeCourseImpact,
+    computeDegreeAudit,
+    computeGradeDistribution,
+    computeNewCGPA,
+    computeScenarios,
+    computeTermGPA,
+    computeTranscript,
+    createCourseData,
+    createFraction,
+    createTermCSV,
+    decodeShareLink,
+    encodeShareLink,
+    evaluateStanding,
+    formatFraction,
+    getGPAHistory,
+    hasScenarioGrades,
+    mapLetterToGradePoint,
+    mapNumericToGradePoint,
+    migrateStateFile,
+    normalizeGradingScheme,
+    parseCourseCSV,
+    parseCourseJSON,
+    parseCoursePaste,
+    serializeGradingScheme,
+    SHARE_LINK_VERSION,
+    solveTargetGPA,
+    STATE_FILE_VERSION,
+    validateCourseFields,
+    validateCourses,
+    validatePreviousFields,
+    validateReplacedAttempts,
+} from '../gpa-engine.js';
+
+const STANDARD_SCHEME = BUILT_IN_SCHEMES.find(s => s.id === 'standard-4-d');
+
+/**
+ * Builds a course the way the UI's collectCourseData() does.
+ * Pass `letter` for a letter grade or `score` for a numeric one.
+ */
+function course({ id = 1, name = 'Course', credits = 3, letter, score, status = 'graded', repeated = false, previousAttempt = null, scheme = DEFAULT_SCHEME }) {
+    const numeric = score !== undefined;
+    const mapped = numeric && score !== null ? mapNumericToGradePoint(score, scheme) : null;
+    const gradeLetter = numeric ? (mapped?.letter ?? 'F') : (letter ?? '');
+    
+    return {
+        id,
+        name,
+        credits,
+        score: numeric ? score : null,
+        gradePoint: mapped ? mapped.point : mapLetterToGradePoint(gradeLetter, scheme),
+        letter: gradeLetter,
+        status,
+        excluded: status !== 'graded',
+        repeated,
+        previousAttempt,
+        scenarioLetters: { best: '', expected: '', worst: '' },
+        gradeType: numeric ? 'numeric' : 'letter',
+        hasGrade: status !== 'graded' || (numeric ? score !== null : Boolean(letter))
+    };
+}
+
+describe('README test cases', () => {
+    it('Test 1: term GPA of B+, C+ and F is 2.15', () => {
+        const result = computeTermGPA([
+            course({ name: 'Course A', credits: 3, letter: 'B+' }),
+            course({ name: 'Course B', credits: 4, letter: 'C+' }),
+            course({ name: 'Course C', credits: 2, letter: 'F' })
+        ]);
+        
+        assert.equal(result.totalCredits, 9);
+        assert.deepEqual(result.totalQualityPoints, createFraction(58, 3));
+        assert.equal(formatFraction(result.totalQualityPoints, 2), '19.33');
+        assert.equal(formatFraction(result.gpa, 2), '2.15');
+    });
+    
+    it('Test 2: 3.0 over 30 credits plus an A- in 3 credits gives 3.06', () => {
+        const term = computeTermGPA([course({ credits: 3, letter: 'A-' })]);
+        const result = computeNewCGPA(3.0, 30, term.totalQualityPoints, term.totalCredits);
+        
+        assert.deepEqual(term.totalQualityPoints, createFraction(11));
+        assert.deepEqual(result.prevQualityPoints, createFraction(90));
+        assert.equal(result.totalCredits, 33);
+        assert.deepEqual(result.cgpa, createFraction(101, 33));
+        assert.equal(formatFraction(result.cgpa, 2), '3.06');
+    });
+    
+    it('Test 3: a repeated course with score 98 is capped at B+', () => {
+        const first = computeTermGPA([course({ credits: 3, score: 98 })]);
+        const repeated = computeTermGPA([course({ credits: 3, score: 98, repeated: true })]);
+        
+        assert.equal(first.courses[0].letter, 'A');
+        assert.deepEqual(first.totalQualityPoints, createFraction(12));
+        assert.equal(repeated.courses[0].letter, 'B+');
+        assert.equal(repeated.courses[0].wasCapped, true);
+        assert.deepEqual(repeated.totalQualityPoints, createFraction(10));
+    });
+});
+
+describe('mapNumericToGradePoint boundaries', () => {
+    const cases = [
+        [0, 'F'],
+        [59, 'F'],
+        [59.99, 'F'],
+        [60, 'C-'],
+        [89.5, 'B+'],
+        [90, 'A-'],
+        [94.5, 'A-'],
+        [95, 'A'],
+        [100, 'A']
+    ];
+    
+    for (const [score, letter] of cases) {
+        it(`maps ${score} to ${letter}`, () => {
+            assert.equal(mapNumericToGradePoint(score).letter, letter);
+        });
+    }
+    
+    it('uses exact thirds for grade points', () => {
+        assert.deepEqual(mapNumericToGradePoint(94.5).point, createFraction(11, 3));
+        assert.deepEqual(mapNumericToGradePoint(60).point, createFraction(5, 3));
+    });
+    
+    it('clamps scores outside 0-100', () => {
+        assert.equal(mapNumericToGradePoint(120).letter, 'A');
+        assert.equal(mapNumericToGradePoint(-5).letter, 'F');
+    });
+    
+    it('rejects non-numeric scores', () => {
+        assert.equal(mapNumericToGradePoint(NaN).letter, 'Invalid');
+        assert.equal(mapNumericToGradePoint('90').letter, 'Invalid');
+    });
+    
+    it('follows the thresholds of the given scheme', () => {
+        assert.equal(mapNumericToGradePoint(94.5, STANDARD_SCHEME).letter, 'A');
+        assert.equal(mapNumericToGradePoint(60, STANDARD_SCHEME).letter, 'D');
+        assert.equal(mapNumericToGradePoint(59, STANDARD_SCHEME).letter, 'F');
+    });
+});
+
+describe('repeated course cap', () => {
+    it('leaves grades at or below the cap unchanged', () => {
+        const result = computeTermGPA([course({ letter: 'B+', repeated: true }), course({ letter: 'C', repeated: true })]);
+        
+        assert.deepEqual(result.courses.map(c => c.letter), ['B+', 'C']);
+        assert.deepEqual(result.courses.map(c => c.wasCapped), [false, false]);
+    });
+    
+    it('caps A and A- at B+', () => {
+        const result = computeTermGPA([course({ letter: 'A', repeated: true }), course({ letter: 'A-', repeated: true })]);
+        
+        assert.deepEqual(result.courses.map(c => c.letter), ['B+', 'B+']);
+        assert.deepEqual(result.gpa, createFraction(10, 3));
+    });
+    
+    it('does not cap when the scheme has no repeat cap', () => {
+        const result = computeTermGPA([course({ letter: 'A', repeated: true, scheme: STANDARD_SCHEME })], STANDARD_SCHEME);
+        
+        assert.equal(result.courses[0].letter, 'A');
+        assert.equal(result.courses[0].wasCapped, false);
+    });
+    
+    it('replaces the earlier attempt in the CGPA', () => {
+        const previousAttempt = { letter: 'F', gradePoint: createFraction(0), credits: 3 };
+        const term = computeTermGPA([course({ letter: 'A', repeated: true, previousAttempt })]);
+        const result = computeNewCGPA(3, 30, term.totalQualityPoints, term.totalCredits, null, {
+            credits: term.replacedCredits,
+            qualityPoints: term.replacedQualityPoints
+        });
+        
+        // (90 − 0 + 10) / (30 − 3 + 3)
+        assert.equal(term.replacedCredits, 3);
+        assert.equal(result.totalCredits, 30);
+        assert.deepEqual(result.cgpa, createFraction(10, 3));
+    });
+    
+    it('replaces the latest earlier attempt with the same name in a transcript', () => {
+        const result = computeTranscript([
+            { name: 'Fall 24', courses: [course({ name: 'CSAI 101', letter: 'F' }), course({ name: 'MATH 101', letter: 'B' })] },
+            { name: 'Spring 25', courses: [course({ name: 'csai  101', letter: 'A', repeated: true })] }
+        ]);
+        
+        assert.equal(result.semesters[0].termResult.courses[0].replaced, true);
+        assert.equal(result.totalCredits, 6);
+        assert.deepEqual(result.cgpa, createFraction(19, 6));  // (9 + 10) / 6
+        assert.equal(result.earnedCredits, 6);
+    });
+});
+
+describe('excluded courses', () => {
+    it('leaves withdrawals, pass/fail and transfers out of the GPA', () => {
+        const result = computeTermGPA([
+            course({ letter: 'A' }),
+            course({ status: 'W' }),
+            course({ status: 'P', credits: 2 }),
+            course({ status: 'TR', credits: 4 }),
+            course({ status: 'Drop' })
+        ]);
+        
+        assert.equal(result.totalCredits, 3);
+        assert.deepEqual(result.gpa, createFraction(4));
+        assert.equal(result.attemptedCredits, 8);   // A, W and P
+        assert.equal(result.earnedCredits, 9);      // A, P and TR
+        assert.deepEqual(result.courses.map(c => c.excluded), [false, true, true, true, true]);
+    });
+    
+    it('counts WF as F when the scheme does not exclude it', () => {
+        const courses = [course({ letter: 'A', scheme: STANDARD_SCHEME }), course({ status: 'WF', scheme: STANDARD_SCHEME })];
+        const standard = computeTermGPA(courses, STANDARD_SCHEME);
+        const zewail = computeTermGPA([course({ letter: 'A' }), course({ status: 'WF' })]);
+        
+        assert.deepEqual(standard.gpa, createFraction(2));
+        assert.equal(standard.courses[1].letter, 'F');
+        assert.deepEqual(zewail.gpa, createFraction(4));
+    });
+    
+    it('does not earn credits for a failed course', () => {
+        const result = computeTermGPA([course({ letter: 'F' }), course({ letter: 'C-' })]);
+        
+        assert.equal(result.attemptedCredits, 6);
+        assert.equal(result.earnedCredits, 3);
+    });
+});
+
+describe('zero-credit edge cases', () => {
+    it('returns a GPA of 0 for an empty term', () => {
+        const result = computeTermGPA([]);
+        
+        assert.equal(result.totalCredits, 0);
+        assert.deepEqual(result.gpa, createFraction(0));
+    });
+    
+    it('returns a GPA of 0 when every course is excluded', () => {
+        const result = computeTermGPA([course({ status: 'W' }), course({ status: 'I' })]);
+        
+        assert.equal(result.totalCredits, 0);
+        assert.deepEqual(result.gpa, createFraction(0));
+    });
+    
+    it('returns a CGPA of 0 with no credits at all', () => {
+        const result = computeNewCGPA(0, 0, 0, 0);
+        
+        assert.equal(result.totalCredits, 0);
+        assert.deepEqual(result.cgpa, createFraction(0));
+    });
+    
+    it('uses only the term when there are no previous credits', () => {
+        const term = computeTermGPA([course({ letter: 'B' })]);
+        const result = computeNewCGPA(0, 0, term.totalQualityPoints, term.totalCredits);
+        
+        assert.deepEqual(result.cgpa, createFraction(3));
+    });
+    
+    it('rejects courses with zero or too many credits', () => {
+        const errors = validateCourses([course({ id: 2, credits: 0, letter: 'A' }), course({ id: 5, credits: 7, letter: 'A' })]);
+        
+        assert.deepEqual(errors, [
+            'Course #1: Credit hours must be greater than 0.',
+            'Course #2: Credit hours cannot exceed 6.'
+        ]);
+    });
+});
+
+describe('validateCourses', () => {
+    it('needs at least one course', () => {
+        assert.deepEqual(validateCourses([]), ['Please add at least one course.']);
+    });
+    
+    it('accepts valid courses', () => {
+        assert.deepEqual(validateCourses([course({ letter: 'A' }), course({ score: 100 }), course({ status: 'W' })]), []);
+    });
+    
+    it('needs a grade only for graded courses', () => {
+        const errors = validateCourses([course({ id: 1 }), course({ id: 2, score: null }), course({ id: 3, status: 'P' })]);
+        
+        assert.deepEqual(errors, [
+            'Course #1: Please select a letter grade.',
+            'Course #2: Please enter a valid numeric score.'
+        ]);
+    });
+    
+    it('labels courses by their position in the list, not their id', () => {
+        const inputs = [{ id: 7, name: ' ', credits: 3, gradeType: 'letter', letter: '', status: 'graded' },
+            { id: 2, name: '', credits: 3, gradeType: 'letter', letter: 'A', status: 'graded' }];
+        const courses = createCourseData(inputs);
+        
+        assert.deepEqual(courses.map(c => c.name), ['Course 1', 'Course 2']);
+        assert.deepEqual(validateCourses(courses), ['Course #1: Please select a letter grade.']);
+    });
+    
+    it('rejects scores outside 0-100', () => {
+        assert.deepEqual(validateCourses([course({ score: 100.5 })]), ['Course #1: Score must be between 0 and 100.']);
+    });
+    
+    it('rejects letters that are not in the scheme', () => {
+        const errors = validateCourses([course({ letter: 'D+', scheme: STANDARD_SCHEME })]);
+        
+        assert.deepEqual(errors, ['Course #1: D+ is not a grade in the Zewail City (Fall 24) scheme. Please choose the grade again.']);
+        assert.deepEqual(validateCourses([course({ letter: 'D+', scheme: STANDARD_SCHEME })], STANDARD_SCHEME), []);
+    });
+    
+    it('names the fields each error concerns', () => {
+        const errors = validateCourseFields({
+            ...course({ credits: 0, letter: 'D+', scheme: STANDARD_SCHEME }),
+            scenarioLetters: { best: 'A', expected: 'D', worst: '' }
+        });
+        
+        assert.deepEqual(errors.map(e => e.fields), [['credits'], ['grade', 'scenario-expected']]);
+        assert.deepEqual(validatePreviousFields({ cgpa: 4.2, credits: null }).map(e => e.fields), [['cgpa'], ['credits']]);
+    });
+    
+    it('keeps replaced attempts within the previous record', () => {
+        const previousAttempt = { letter: 'A', gradePoint: createFraction(4), credits: 4 };
+        const term = computeTermGPA([course({ letter: 'B', repeated: true, previousAttempt })]);
+        
+        assert.deepEqual(validateReplacedAttempts(term, { cgpa: 4, credits: 4 }), []);
+        assert.match(validateReplacedAttempts(term, { cgpa: 4, credits: 3 })[0], /\(4 cr\) cannot exceed your previous total credits \(3\)/);
+        assert.match(validateReplacedAttempts(term, { cgpa: 3, credits: 4 })[0], /earn more quality points than your previous record/);
+    });
+});
+
+describe('solveTargetGPA', () => {
+    it('finds the grades needed on ungraded courses', () => {
+        const result = solveTargetGPA({
+            targetType: 'term',
+            target: 3,
+            courses: [course({ letter: 'B' }), course({}), course({ credits: 4 })]
+        });
+        
+        assert.equal(result.status, 'reachable');
+        assert.equal(result.remainingCredits, 7);
+        assert.deepEqual(result.requiredQualityPoints, createFraction(21));  // 3 × 10 cr − 9 QP
+        assert.deepEqual(result.requiredAverage, createFraction(3));
+        assert.equal(result.uniformLetter, 'B');
+        assert.deepEqual(result.combinations[0].grades.map(g => g.letter), ['B', 'B']);
+        assert.ok(result.combinations.every(combo => compareFractions(combo.gpa, 3) >= 0));
+    });
+    
+    it('reports a target above the best possible grades as unreachable', () => {
+        const result = solveTargetGPA({ targetType: 'term', target: 3.9, courses: [course({ letter: 'C' }), course({})] });
+        
+        assert.equal(result.status, 'unreachable');
+        assert.deepEqual(result.bestGPA, createFraction(3));  // (6 + 12) / 6
+        assert.equal(result.uniformLetter, null);
+        assert.deepEqual(result.combinations, []);
+    });
+    
+    it('reports a CGPA target that even the lowest grades keep as achieved', () => {
+        const result = solveTargetGPA({ targetType: 'cgpa', target: 3, courses: [course({ credits: 3 })], prevCGPA: 3.5, prevCredits: 90 });
+        
+        assert.equal(result.status, 'achieved');
+        assert.deepEqual(result.worstGPA, createFraction(105, 31));  // 315 / 93
+    });
+    
+    it('stops repeated courses at the repeat cap', () => {
+        const result = solveTargetGPA({ targetType: 'cgpa', target: 3.5, courses: [course({ repeated: true })], prevCGPA: 3.4, prevCredits: 3 });
+        
+        assert.equal(result.status, 'unreachable');
+        assert.equal(formatFraction(result.bestGPA, 4), '3.3667');  // (10.2 + 10) / 6 with B+
+    });
+    
+    it('needs credits to work with', () => {
+        assert.equal(solveTargetGPA({ targetType: 'term', target: 3, courses: [] }).status, 'no-credits');
+    });
+});
+
+describe('computeScenarios', () => {
+    const courses = [
+        { ...course({ letter: 'B' }), scenarioLetters: { best: 'A', expected: '', worst: 'C' } },
+        course({ letter: 'A' })
+    ];
+    
+    it('uses each candidate grade, falling back to the entered grade', () => {
+        const [best, expected, worst] = computeScenarios(courses);
+        
+        assert.ok(hasScenarioGrades(courses));
+        assert.deepEqual([best.key, expected.key, worst.key], ['best', 'expected', 'worst']);
+        assert.deepEqual(best.termResult.gpa, createFraction(4));
+        assert.deepEqual(expected.termResult.gpa, createFraction(7, 2));
+        assert.deepEqual(worst.termResult.gpa, createFraction(3));
+        assert.equal(best.cgpaResult, null);
+    });
+    
+    it('measures each scenario against the previous CGPA', () => {
+        const [best, , worst] = computeScenarios(courses, { prevCGPA: 3, prevCredits: 30 });
+        
+        assert.deepEqual(best.cgpaResult.cgpa, createFraction(19, 6));  // (90 + 24) / 36
+        assert.deepEqual(best.cgpaDelta, createFraction(1, 6));
+        assert.deepEqual(worst.cgpaDelta, createFraction(0));
+    });
+    
+    it('is off until a course has a candidate grade', () => {
+        assert.equal(hasScenarioGrades([course({ letter: 'B' })]), false);
+    });
+});
+
+describe('evaluateStanding', () => {
+    const term = (letter, count) => computeTermGPA(Array.from({ length: count }, () => course({ letter })));
+    
+    it('puts a CGPA below the threshold on probation instead of warning', () => {
+        const standing = evaluateStanding({ termResult: term('F', 2), cgpa: createFraction(19, 10) });
+        
+        assert.deepEqual(standing.map(s => s.key), ['probation', 'honors']);
+        assert.equal(standing[0].level, 'danger');
+        assert.match(standing[0].explanation, /1\.9000 is below the probation threshold of 2\.00/);
+    });
+    
+    it('warns about a weak term while the CGPA is still in good standing', () => {
+        const standing = evaluateStanding({ termResult: term('C-', 4), cgpa: createFraction(5, 2) });
+        
+        assert.deepEqual(standing.map(s => s.key), ['good-standing', 'warning', 'honors']);
+    });
+    
+    it("puts a strong, full term on the Dean's list", () => {
+        const standing = evaluateStanding({ termResult: term('A', 4), cgpa: createFraction(18, 5) });
+        
+        assert.deepEqual(standing.map(s => s.key), ['good-standing', 'deans-list', 'honors']);
+        assert.equal(standing[2].title, 'Graduation Honors: High Honors');
+    });
+    
+    it("explains a Dean's list GPA with too few credits", () => {
+        const standing = evaluateStanding({ termResult: term('A', 3) });
+        
+        assert.deepEqual(standing.map(s => s.key), ['deans-list-load', 'needs-cgpa']);
+        assert.match(standing[0].explanation, /only 9 graded credits .*minimum 12/);
+    });
+});
+
+describe('computeDegreeAudit', () => {
+    const semesters = [{
+        name: 'Fall 24',
+        courses: [
+            course({ name: 'CSAI 101', letter: 'A' }),
+            course({ name: 'MATH 101' }),
+            course({ name: 'ART 150', letter: 'B' })
+        ]
+    }];
+    
+    it('counts completed credits per category and marks planned courses', () => {
+        const audit = computeDegreeAudit({ semesters });
+        const category = key => audit.categories.find(c => c.category === key);
+        
+        assert.equal(category('core').completedCredits, 3);
+        assert.ok(!category('core').remainingCourses.some(c => c.code === 'CSAI 101'));
+        assert.equal(category('math-science').completedCredits, 0);
+        assert.equal(category('math-science').remainingCourses.find(c => c.code === 'MATH 101').planned, true);
+        assert.equal(audit.otherCredits, 3);  // ART 150 is not in the catalog
+        assert.equal(audit.completedCredits, 6);
+        assert.equal(audit.remainingCredits, 96);
+        assert.deepEqual(audit.cgpa, createFraction(7, 2));
+        assert.equal(audit.target, null);
+    });
+    
+    it('works out the average needed to graduate at a target CGPA', () => {
+        const { target } = computeDegreeAudit({ semesters, targetCGPA: 3 });
+        
+        assert.equal(target.status, 'reachable');
+        assert.deepEqual(target.requiredAverage, createFraction(95, 32));  // (3 × 102 − 21) / 96
+        assert.equal(computeDegreeAudit({ semesters, targetCGPA: 3.99 }).target.status, 'unreachable');
+    });
+});
+
+describe('course files', () => {
+    it('reads back an exported CGPA CSV', () => {
+        const term = computeTermGPA([course({ name: 'CSAI 101, "Intro"', letter: 'A-' }), course({ name: 'MATH 101', score: 81, status: 'W' })]);
+        const { file, courseCount, errors } = parseCourseCSV(createTermCSV(term, { cgpa: 3, credits: 30 }));
+        
+        assert.deepEqual(errors, []);
+        assert.equal(courseCount, 2);
+        assert.equal(file.mode, 'cgpa');
+        assert.deepEqual(file.previous, { cgpa: 3, credits: 30 });
+        assert.deepEqual(file.courses.map(c => [c.name, c.line, c.status]), [['CSAI 101, "Intro"', 2, 'graded'], ['MATH 101', 3, 'W']]);
+        
+        const reread = computeTermGPA(createCourseData(file.courses.map((c, i) => ({ ...c, id: i + 1 }))));
+        assert.deepEqual(reread.gpa, term.gpa);
+    });
+    
+    it('reads back the entered grade and earlier attempt of a capped repeated course', () => {
+        const previousAttempt = { letter: 'F', gradePoint: createFraction(0), credits: 4 };
+        const term = computeTermGPA([course({ name: 'CSAI 101', letter: 'A', repeated: true, previousAttempt })]);
+        const { file, errors } = parseCourseCSV(createTermCSV(term, { cgpa: 3, credits: 30 }));
+        
+        assert.deepEqual(errors, []);
+        assert.deepEqual(file.courses.map(c => [c.letter, c.repeated, c.previousLetter, c.previousCredits]), [['A', true, 'F', 4]]);
+        
+        const reread = computeTermGPA(createCourseData(file.courses.map((c, i) => ({ ...c, id: i + 1 }))));
+        assert.equal(reread.courses[0].wasCapped, true);
+        assert.equal(reread.replacedCredits, 4);
+        assert.deepEqual(reread.replacedQualityPoints, term.replacedQualityPoints);
+        assert.deepEqual(reread.gpa, term.gpa);
+    });
+    
+    it('reports unreadable CSV rows by line', () => {
+        const csv = 'Course Name,Credit Hours,Score,Letter Grade,Excluded,Repeated\nA,3,,Z,false,false\nB,3,101,,false,maybe\nC,3\n';
+        const { courseCount, errors } = parseCourseCSV(csv);
+        
+        assert.equal(courseCount, 0);
+        assert.deepEqual(errors, [
+            'Line 2: "Z" is not a grade in the Zewail City (Fall 24) scheme.',
+            'Line 3: score "101" must be a number between 0 and 100; Repeated must be true or false, not "maybe".',
+            'Line 4: expected 6 columns but found 2.'
+        ]);
+    });
+    
+    it('reads JSON course lists with semesters', () => {
+        const { file, errors } = parseCourseJSON([
+            { Semester: 'Fall 24', 'Course Name': 'CSAI 101', 'Credit Hours': 3, 'Letter Grade': 'B' },
+            { Semester: 'Spring 25', 'Course Name': 'CSAI 102', 'Credit Hours': 3, Score: 96, Repeated: true },
+            'CSAI 103'
+        ]);
+        
+        assert.deepEqual(errors, ['Entry 3: expected an object with the course columns.']);
+        assert.equal(file.mode, 'transcript');
+        assert.deepEqual(file.semesters.map(s => s.name), ['Fall 24', 'Spring 25']);
+        assert.deepEqual(file.semesters[1].courses[0], {
+            name: 'CSAI 102', credits: 3, gradeType: 'numeric', score: 96, letter: '', status: 'graded', repeated: true,
+            previousLetter: '', previousCredits: null, entry: 2
+        });
+    });
+    
+    it('rejects JSON that is not a course list', () => {
+        assert.equal(parseCourseJSON({ courses: 'none' }).file, null);
+        assert.deepEqual(parseCourseJSON({ previous: { cgpa: -1, credits: 30 }, courses: [] }).errors, ['previous.cgpa must be a number of 0 or more.']);
+    });
+});
+
+describe('computeCourseImpact', () => {
+    const courses = [
+        course({ id: 1, credits: 3, letter: 'B+' }),
+        course({ id: 2, credits: 4, letter: 'C+' }),
+        course({ id: 3, credits: 2, letter: 'F' }),
+        course({ id: 4, credits: 3, letter: 'A', status: 'W' })
+    ];
+    
+    it('splits the term GPA into course shares', () => {
+        const { courses: impacts } = computeCourseImpact(courses);
+        
+        assert.deepEqual(impacts.map(c => c.id), [1, 2, 3]);
+        assert.deepEqual(impacts.map(c => formatFraction(c.termShare, 2)), ['1.11', '1.04', '0.00']);
+        assert.equal(formatFraction(computeTermGPA(courses).gpa, 2), '2.15');
+    });
+    
+    it('measures one letter step up and down', () => {
+        const { courses: impacts, highestLeverageId } = computeCourseImpact(courses, { prevCGPA: 3, prevCredits: 30 });
+        const [first, , last] = impacts;
+        
+        assert.equal(first.up.letter, 'A-');
+        assert.deepEqual(first.up.termDelta, createFraction(1, 9));  // 3 cr × 1/3 pt over 9 cr
+        assert.deepEqual(first.down.termDelta, createFraction(-1, 9));
+        assert.deepEqual(first.up.cgpaDelta, createFraction(1, 39));
+        assert.equal(last.down, null);  // F is the lowest grade
+        assert.equal(highestLeverageId, 3);  // F to C- is the largest step
+    });
+    
+    it('gives no gain above the repeat cap', () => {
+        const { courses: [impact] } = computeCourseImpact([course({ credits: 3, letter: 'A-', repeated: true })]);
+        
+        assert.equal(impact.letter, 'B+');
+        assert.deepEqual(impact.up.termDelta, createFraction(0));
+        assert.deepEqual(impact.leverage, createFraction(0));
+    });
+});
+
+describe('GPA history', () => {
+    const transcript = computeTranscript([
+        { name: 'Fall 24', courses: [course({ letter: 'A' }), course({ letter: 'B', credits: 4 })] },
+        { name: 'Spring 25', courses: [course({ status: 'W' })] },
+        { name: 'Fall 25', courses: [course({ letter: 'C' }), course({ status: 'P', credits: 2 })] }
+    ]);
+    
+    it('lists term GPA, CGPA and credits per semester', () => {
+        const history = getGPAHistory(transcript);
+        
+        assert.deepEqual(history.map(h => h.name), ['Fall 24', 'Spring 25', 'Fall 25']);
+        assert.deepEqual(history.map(h => h.credits), [7, 0, 3]);
+        assert.deepEqual(history[0].termGPA, createFraction(24, 7));
+        assert.equal(history[1].termGPA, null);  // No graded credits
+        assert.deepEqual(history[1].cgpa, createFraction(24, 7));
+        assert.deepEqual(history[2].cgpa, createFraction(30, 10));
+    });
+    
+    it('counts graded courses by letter in scheme order', () => {
+        const distribution = computeGradeDistribution(transcript.semesters.map(s => s.termResult));
+        const counted = distribution.filter(d => d.count > 0);
+        
+        assert.equal(distribution[0].letter, DEFAULT_SCHEME.grades[0].letter);
+        assert.deepEqual(counted, [
+            { letter: 'A', count: 1, credits: 3 },
+            { letter: 'B', count: 1, credits: 4 },
+            { letter: 'C', count: 1, credits: 3 }
+        ]);
+    });
+});
+
+describe('migrateStateFile', () => {
+    const state = { mode: 'term', schemeId: 'zc-fall24', courses: [{ id: 1, name: 'CSAI 101', excluded: true }], semesters: [] };
+    
+    it('reads bare snapshots from version 1', () => {
+        assert.deepEqual(migrateStateFile(state), { state, scheme: null, error: null });
+    });
+    
+    it('reads the current version with its grading scheme', () => {
+        const { state: read, scheme, error } = migrateStateFile({
+            app: 'zc-gpa-calc',
+            version: STATE_FILE_VERSION,
+            scheme: serializeGradingScheme(STANDARD_SCHEME),
+            state
+        });
+        
+        assert.equal(error, null);
+        assert.deepEqual(read, state);
+        assert.deepEqual(serializeGradingScheme(scheme), serializeGradingScheme(STANDARD_SCHEME));
+    });
+    
+    it('rejects newer, unknown and malformed files', () => {
+        assert.match(migrateStateFile({ version: STATE_FILE_VERSION + 1, state }).error, /newer version/);
+        assert.match(migrateStateFile({ version: 'two', state }).error, /Unknown file version "two"/);
+        assert.match(migrateStateFile([]).error, /does not contain calculator data/);
+        assert.match(migrateStateFile({ version: STATE_FILE_VERSION, state: {} }).error, /does not contain a course list/);
+        assert.match(migrateStateFile({ version: STATE_FILE_VERSION, scheme: { name: 'Broken' }, state }).error, /grading scheme is invalid/);
+    });
+});
+
+describe('share links', () => {
+    const input = (fields) => ({
+        name: '',
+        credits: null,
+        gradeType: 'letter',
+        score: null,
+        letter: '',
+        status: 'graded',
+        repeated: false,
+        previousLetter: '',
+        previousCredits: null,
+        scenarioLetters: { best: '', expected: '', worst: '' },
+        ...fields
+    });
+    const snapshot = {
+        mode: 'transcript',
+        schemeId: 'zc-fall24',
+        previous: { cgpa: 3.2, credits: 45 },
+        courses: [input({ id: 4, name: 'Physics ⚛', credits: 3, letter: 'B+' })],
+        semesters: [{
+            id: 7,
+            name: 'Fall 24',
+            courses: [
+                input({ id: 9, name: 'CSAI 101', credits: 3, gradeType: 'numeric', score: 87.5, repeated: true, previousLetter: 'F' }),
+                input({ id: 10, credits: 2, status: 'W', scenarioLetters: { best: 'A', expected: '', worst: 'C' } })
+            ]
+        }]
+    };
+    
+    it('round-trips the inputs, numbering courses and semesters from 1', () => {
+        const text = encodeShareLink(snapshot);
+        const { snapshot: decoded, error } = decodeShareLink(text);
+        
+        assert.equal(error, null);
+        assert.match(text, new RegExp(`^${SHARE_LINK_VERSION}\\.[A-Za-z0-9_-]+$`));
+        assert.equal(decoded.mode, 'transcript');
+        assert.deepEqual(decoded.previous, { cgpa: 3.2, credits: 45 });
+        assert.deepEqual(decoded.courses, [{ ...snapshot.courses[0], id: 1 }]);
+        assert.deepEqual(decoded.semesters[0].courses.map(c => c.id), [2, 3]);
+        assert.deepEqual(decoded.semesters[0].courses[0], { ...snapshot.semesters[0].courses[0], id: 2 });
+        assert.deepEqual(decoded.semesters[0].courses[1].scenarioLetters, { best: 'A', expected: '', worst: 'C' });
+        assert.equal(decoded.courseCounter, 3);
+        assert.equal(decoded.semesterCounter, 1);
+    });
+    
+    it('carries the definition of a custom grading scheme', () => {
+        const { scheme: custom } = normalizeGradingScheme({ ...serializeGradingScheme(STANDARD_SCHEME), id: 'custom-abc', name: 'My University' });
+        
+        assert.equal(decodeShareLink(encodeShareLink(snapshot)).scheme, null);
+        
+        const { snapshot: decoded, scheme, error } = decodeShareLink(encodeShareLink({ ...snapshot, schemeId: 'custom-abc' }, custom));
+        assert.equal(error, null);
+        assert.equal(decoded.schemeId, 'custom-abc');
+        assert.deepEqual(serializeGradingScheme(scheme), serializeGradingScheme(custom));
+    });
+    
+    it('still opens version 1 links, which have no scheme definition', () => {
+        const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const { snapshot: decoded, scheme, error } = decodeShareLink(`1.${encode([1, 'zc-fall24', [3, 30], [['CSAI 101', 3, 0, 'A']], []])}`);
+        
+        assert.equal(error, null);
+        assert.equal(scheme, null);
+        assert.equal(decoded.mode, 'cgpa');
+        assert.equal(decoded.courses[0].letter, 'A');
+        assert.match(decodeShareLink(`1.${encode([1, 'zc-fall24', [3, 30], [], [], null])}`).error, /incomplete or corrupt/);
+    });
+    
+    it('decodes markup in names as plain text', () => {
+        const name = '<img src=x onerror="alert(1)">';
+        const { snapshot: decoded, error } = decodeShareLink(encodeShareLink({
+            ...snapshot,
+            courses: [input({ id: 1, name, credits: 3, letter: 'A' })],
+            semesters: [{ ...snapshot.semesters[0], name }]
+        }));
+        
+        assert.equal(error, null);
+        assert.equal(decoded.courses[0].name, name);
+        assert.equal(decoded.semesters[0].name, name);
+    });
+    
+    it('rejects corrupt links and links from newer versions', () => {
+        const text = encodeShareLink(snapshot);
+        
+        assert.match(decodeShareLink(text.slice(0, -6)).error, /incomplete or corrupt/);
+        assert.match(decodeShareLink('not a link').error, /incomplete or corrupt/);
+        assert.match(decodeShareLink(`${SHARE_LINK_VERSION + 1}.${text.split('.')[1]}`).error, /newer version/);
+        
+        const badStatus = Buffer.from(JSON.stringify([0, 'zc-fall24', [null, null], [['A', 3, 0, 'A', 'X']], []])).toString('base64url');
+        assert.match(decodeShareLink(`1.${badStatus}`).error, /incomplete or corrupt/);
+        
+        // "length" is a property of the mode list, not one of its modes
+        const badMode = Buffer.from(JSON.stringify(['length', 'zc-fall24', [null, null], [], []])).toString('base64url');
+        assert.match(decodeShareLink(`1.${badMode}`).error, /incomplete or corrupt/);
+        
+        const badScheme = Buffer.from(JSON.stringify([0, 'custom-abc', [null, null], [], [], { name: 'Broken' }])).toString('base64url');
+        assert.match(decodeShareLink(`2.${badScheme}`).error, /grading scheme is invalid/);
+    });
+});
+
+describe('parseCoursePaste', () => {
+    it('detects columns of tab-separated portal rows from their contents', () => {
+        const { columns, hasHeader, rows, errors } = parseCoursePaste('CSAI 101\tIntro to CS\t3\tA-\nMATH 101\tCalculus I\t4\tW\n');
+        
+        assert.deepEqual(columns, ['code', 'title', 'credits', 'letter']);
+        assert.equal(hasHeader, false);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(rows.map(r => [r.course.name, r.course.credits, r.course.letter, r.course.status]), [
+            ['CSAI 101', 3, 'A-', 'graded'],
+            ['MATH 101', 4, '', 'W']  // A status in the grade column
+        ]);
+    });
+    
+    it('reads a CSV header row and reports bad lines', () => {
+        const text = 'Title,Credits,Score,Status\n"Intro, CS",3,87%,\nCalculus,3,x,\nEnglish,2,,Pass\n';
+        const { columns, rows } = parseCoursePaste(text);
+        
+        assert.deepEqual(columns, ['title', 'credits', 'score', 'status']);
+        assert.deepEqual(rows.map(r => r.line), [2, 3, 4]);
+        assert.equal(rows[0].course.name, 'Intro, CS');
+        assert.equal(rows[0].course.score, 87);
+        assert.equal(rows[1].course, null);
+        assert.match(rows[1].errors[0], /score "x"/);
+        assert.equal(rows[2].course.status, 'P');
+    });
+    
+    it('fills in missing credits from the catalog', () => {
+        const text = 'Code,Grade\ncsai101,A\nPHYS 101,B\nART 150,C\n';
+        
+        assert.deepEqual(parseCoursePaste(text).rows.map(r => r.course.credits), [3, 4, null]);
+        
+        const catalog = { courses: [{ code: 'ART 150', credits: 2 }] };
+        assert.deepEqual(parseCoursePaste(text, undefined, catalog).rows.map(r => r.course.credits), [null, null, 2]);
+    });
+    
+    it('needs a credits or grade column', () => {
+        assert.equal(parseCoursePaste('hello\nworld').errors.length, 1);
+        assert.deepEqual(parseCoursePaste('  \n').rows, []);
+    });
+});